@@ -1,6 +1,9 @@
 const express = require("express");
 const puppeteer = require("puppeteer");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
 
 const app = express();
 
@@ -31,11 +34,88 @@ const CONFIG = {
   CACHE_TTL: process.env.CACHE_TTL
     ? parseInt(process.env.CACHE_TTL)
     : 10 * 60 * 1000, // 10 minutes
+  HTML_CACHE_TTL: process.env.HTML_CACHE_TTL
+    ? parseInt(process.env.HTML_CACHE_TTL)
+    : 60 * 60 * 1000, // 1 hour for prerendered HTML
   MEMORY_THRESHOLD: process.env.MEMORY_THRESHOLD
     ? parseInt(process.env.MEMORY_THRESHOLD)
     : 512 * 1024 * 1024, // 512MB
+  SELECTOR_TIMEOUT: process.env.SELECTOR_TIMEOUT
+    ? parseInt(process.env.SELECTOR_TIMEOUT)
+    : 10000, // 10 seconds to wait for element captures
+  MAX_SCALE_FACTOR: process.env.MAX_SCALE_FACTOR
+    ? parseFloat(process.env.MAX_SCALE_FACTOR)
+    : 4,
+  MAX_OUTPUT_PIXELS: process.env.MAX_OUTPUT_PIXELS
+    ? parseInt(process.env.MAX_OUTPUT_PIXELS)
+    : 40 * 1000 * 1000, // 40 megapixels per image
+  MAX_RESPONSIVE_TARGETS: process.env.MAX_RESPONSIVE_TARGETS
+    ? parseInt(process.env.MAX_RESPONSIVE_TARGETS)
+    : 6,
+  MAX_RECORD_DURATION: process.env.MAX_RECORD_DURATION
+    ? parseInt(process.env.MAX_RECORD_DURATION)
+    : 30000, // 30 seconds
+  MAX_RECORD_FPS: process.env.MAX_RECORD_FPS
+    ? parseInt(process.env.MAX_RECORD_FPS)
+    : 15,
+  MAX_RECORD_WIDTH: process.env.MAX_RECORD_WIDTH
+    ? parseInt(process.env.MAX_RECORD_WIDTH)
+    : 1280,
+  FFMPEG_PATH: process.env.FFMPEG_PATH || "ffmpeg",
+  MAX_HTML_SIZE: process.env.MAX_HTML_SIZE || "5mb",
+  MAX_IMAGE_SIZE: process.env.MAX_IMAGE_SIZE || "20mb",
+  BASELINES_DIR: process.env.BASELINES_DIR || path.join(__dirname, "baselines"),
+  MAX_DIFF_REGIONS: process.env.MAX_DIFF_REGIONS
+    ? parseInt(process.env.MAX_DIFF_REGIONS)
+    : 50,
+  TEMPLATES_DIR: process.env.TEMPLATES_DIR || path.join(__dirname, "templates"),
+  DEVICE_PROFILES_FILE:
+    process.env.DEVICE_PROFILES_FILE || path.join(__dirname, "devices.json"),
+  NETWORK_IDLE_WINDOW: process.env.NETWORK_IDLE_WINDOW
+    ? parseInt(process.env.NETWORK_IDLE_WINDOW)
+    : 500, // quiet period before the network counts as idle
+  NETWORK_IDLE_THRESHOLD: process.env.NETWORK_IDLE_THRESHOLD
+    ? parseInt(process.env.NETWORK_IDLE_THRESHOLD)
+    : 0, // max in-flight requests while idle
+  NETWORK_IDLE_MAX_REQUEST_AGE: process.env.NETWORK_IDLE_MAX_REQUEST_AGE
+    ? parseInt(process.env.NETWORK_IDLE_MAX_REQUEST_AGE)
+    : 10000, // older requests are treated as long-polling
+  // Regexes are separated by ";" since commas occur in quantifiers like {1,3}
+  NETWORK_IDLE_IGNORE: process.env.NETWORK_IDLE_IGNORE
+    ? process.env.NETWORK_IDLE_IGNORE.split(";")
+    : [
+        "google-analytics\\.com",
+        "googletagmanager\\.com",
+        "doubleclick\\.net",
+        "facebook\\.(com|net)/tr",
+        "connect\\.facebook\\.net",
+        "hotjar\\.(com|io)",
+        "clarity\\.ms",
+        "segment\\.(io|com)",
+        "mixpanel\\.com",
+        "sentry\\.io",
+        "/socket\\.io/",
+        "/sockjs/",
+        "^https?://([^/]+\\.)?(analytics\\.google\\.com|bat\\.bing\\.com|px\\.ads\\.linkedin\\.com|analytics\\.tiktok\\.com|ct\\.pinterest\\.com|cloudflareinsights\\.com|plausible\\.io)/",
+      ],
+  DEFAULT_WAIT_STRATEGY: process.env.DEFAULT_WAIT_STRATEGY || "thorough",
+  SITE_RULES_FILE:
+    process.env.SITE_RULES_FILE || path.join(__dirname, "site-rules.json"),
+  MAX_METRICS_RUNS: process.env.MAX_METRICS_RUNS
+    ? parseInt(process.env.MAX_METRICS_RUNS)
+    : 5,
+  MAX_PAGE_ERRORS: process.env.MAX_PAGE_ERRORS
+    ? parseInt(process.env.MAX_PAGE_ERRORS)
+    : 20,
+  MAX_PAGE_ERRORS_HEADER: process.env.MAX_PAGE_ERRORS_HEADER
+    ? parseInt(process.env.MAX_PAGE_ERRORS_HEADER)
+    : 4096, // bytes
 };
 
+// Default desktop user agent when no device is emulated
+const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+
 // Browser pool management
 class BrowserPool {
   constructor(poolSize = CONFIG.BROWSER_POOL_SIZE) {
@@ -772,8 +852,8 @@ class SimpleCache {
     this.ttl = ttl;
   }
 
-  set(key, value) {
-    const expiresAt = Date.now() + this.ttl;
+  set(key, value, ttl = this.ttl) {
+    const expiresAt = Date.now() + ttl;
     this.cache.set(key, { value, expiresAt });
   }
 
@@ -840,11 +920,410 @@ class MemoryMonitor {
   }
 }
 
+// Filesystem store for named visual regression baselines
+class BaselineStore {
+  constructor(directory = CONFIG.BASELINES_DIR) {
+    this.directory = directory;
+    this.locks = new Map();
+  }
+
+  static isValidName(name) {
+    return (
+      typeof name === "string" &&
+      name.length <= 100 &&
+      /^[a-z0-9][a-z0-9_.-]*$/i.test(name)
+    );
+  }
+
+  static notFound(message) {
+    const error = new Error(message);
+    error.code = "BASELINE_NOT_FOUND";
+    return error;
+  }
+
+  baselinePath(name, file = "") {
+    return path.join(this.directory, name, file);
+  }
+
+  // Serialize writes per baseline so concurrent updates cannot lose versions
+  async withLock(name, task) {
+    const previous = this.locks.get(name) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(name, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(name) === current) {
+        this.locks.delete(name);
+      }
+    }
+  }
+
+  async get(name) {
+    try {
+      const data = await fs.promises.readFile(
+        this.baselinePath(name, "meta.json"),
+        "utf8"
+      );
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(meta) {
+    meta.updatedAt = new Date().toISOString();
+    const metaPath = this.baselinePath(meta.name, "meta.json");
+    await fs.promises.writeFile(
+      `${metaPath}.tmp`,
+      JSON.stringify(meta, null, 2)
+    );
+    await fs.promises.rename(`${metaPath}.tmp`, metaPath);
+  }
+
+  async list() {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    const baselines = [];
+    for (const name of names) {
+      const meta = BaselineStore.isValidName(name) && (await this.get(name));
+      if (meta) {
+        baselines.push({
+          name: meta.name,
+          approvedVersion: meta.approvedVersion,
+          versions: meta.versions.length,
+          updatedAt: meta.updatedAt,
+        });
+      }
+    }
+    return baselines;
+  }
+
+  // Store a new version; the first version is always approved
+  async addVersion(name, buffer, details = {}, approve = false) {
+    return this.withLock(name, async () => {
+      const meta = (await this.get(name)) || {
+        name,
+        approvedVersion: null,
+        createdAt: new Date().toISOString(),
+        versions: [],
+      };
+
+      const lastVersion = meta.versions[meta.versions.length - 1];
+      const version = lastVersion ? lastVersion.version + 1 : 1;
+      const { width, height } = await sharp(buffer).metadata();
+
+      await fs.promises.mkdir(this.baselinePath(name), { recursive: true });
+      await fs.promises.writeFile(
+        this.baselinePath(name, `v${version}.png`),
+        buffer
+      );
+
+      const entry = {
+        version,
+        status: "pending",
+        createdAt: new Date().toISOString(),
+        width,
+        height,
+        ...details,
+      };
+      meta.versions.push(entry);
+
+      if (approve || meta.approvedVersion === null) {
+        this.markApproved(meta, entry);
+      }
+
+      await this.save(meta);
+      return { meta, entry };
+    });
+  }
+
+  markApproved(meta, entry) {
+    for (const other of meta.versions) {
+      if (other.status === "approved") {
+        other.status = "superseded";
+      }
+    }
+    entry.status = "approved";
+    entry.approvedAt = new Date().toISOString();
+    meta.approvedVersion = entry.version;
+  }
+
+  async approve(name, version) {
+    return this.withLock(name, async () => {
+      const meta = await this.get(name);
+      const entry = meta && meta.versions.find((v) => v.version === version);
+      if (!entry) {
+        throw BaselineStore.notFound(
+          `Baseline version not found: ${name} v${version}`
+        );
+      }
+
+      this.markApproved(meta, entry);
+      await this.save(meta);
+      return meta;
+    });
+  }
+
+  async readImage(name, version) {
+    try {
+      return await fs.promises.readFile(
+        this.baselinePath(name, `v${version}.png`)
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(name) {
+    return this.withLock(name, async () => {
+      if (!(await this.get(name))) {
+        throw BaselineStore.notFound(`Baseline not found: ${name}`);
+      }
+      await fs.promises.rm(this.baselinePath(name), {
+        recursive: true,
+        force: true,
+      });
+    });
+  }
+
+  // The approved version can only be deleted together with the whole baseline
+  async removeVersion(name, version) {
+    return this.withLock(name, async () => {
+      const meta = await this.get(name);
+      const index = meta
+        ? meta.versions.findIndex((v) => v.version === version)
+        : -1;
+      if (index === -1) {
+        throw BaselineStore.notFound(
+          `Baseline version not found: ${name} v${version}`
+        );
+      }
+
+      if (meta.approvedVersion === version) {
+        const error = new Error(
+          `Cannot delete approved version ${version}; approve another version first`
+        );
+        error.code = "BASELINE_CONFLICT";
+        throw error;
+      }
+
+      meta.versions.splice(index, 1);
+      await fs.promises.rm(this.baselinePath(name, `v${version}.png`), {
+        force: true,
+      });
+      await this.save(meta);
+      return meta;
+    });
+  }
+}
+
+// Per-domain loading rules keyed by hostname pattern, reloaded on change
+class SiteRules {
+  constructor(file = CONFIG.SITE_RULES_FILE) {
+    this.file = file;
+    this.rules = [];
+    this.version = 0;
+    this.load();
+
+    // Poll so the file can also be created or replaced after startup
+    fs.watchFile(file, { interval: 2000, persistent: false }, () => {
+      console.log(`Site rules changed, reloading ${file}`);
+      this.load();
+    });
+  }
+
+  // "example.com" matches the domain and its subdomains, "*.example.com"
+  // only subdomains; any other "*" matches within a hostname
+  static compilePattern(pattern) {
+    const normalized = pattern.trim().toLowerCase();
+    if (normalized.startsWith("*.") && !normalized.slice(2).includes("*")) {
+      const domain = normalized.slice(2);
+      return (hostname) => hostname.endsWith(`.${domain}`);
+    }
+    if (normalized.includes("*")) {
+      const regex = new RegExp(
+        `^${normalized
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join("[^/]*")}$`
+      );
+      return (hostname) => regex.test(hostname);
+    }
+    return (hostname) =>
+      hostname === normalized || hostname.endsWith(`.${normalized}`);
+  }
+
+  static validate(rule) {
+    const isStringList = (value) =>
+      Array.isArray(value) && value.every((item) => typeof item === "string");
+
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      return "rule must be an object";
+    }
+    for (const field of ["criticalSelectors", "hide", "click"]) {
+      if (rule[field] !== undefined && !isStringList(rule[field])) {
+        return `${field} must be a list of selectors`;
+      }
+    }
+    for (const field of ["delay", "minTextLength"]) {
+      if (
+        rule[field] !== undefined &&
+        !(Number.isFinite(rule[field]) && rule[field] >= 0)
+      ) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+    if (
+      rule.geolocation !== undefined &&
+      !(
+        rule.geolocation &&
+        Number.isFinite(rule.geolocation.latitude) &&
+        Number.isFinite(rule.geolocation.longitude)
+      )
+    ) {
+      return "geolocation needs numeric latitude and longitude";
+    }
+    if (
+      rule.headers !== undefined &&
+      !(
+        rule.headers &&
+        typeof rule.headers === "object" &&
+        Object.values(rule.headers).every((value) => typeof value === "string")
+      )
+    ) {
+      return "headers must map names to string values";
+    }
+    if (
+      rule.cookies !== undefined &&
+      !(
+        Array.isArray(rule.cookies) &&
+        rule.cookies.every(
+          (cookie) =>
+            cookie &&
+            typeof cookie.name === "string" &&
+            typeof cookie.value === "string"
+        )
+      )
+    ) {
+      return "cookies must be a list of {name, value} objects";
+    }
+    if (
+      rule.scroll !== undefined &&
+      !(
+        rule.scroll &&
+        Number.isFinite(rule.scroll.y) &&
+        (rule.scroll.wait === undefined ||
+          (Number.isFinite(rule.scroll.wait) && rule.scroll.wait >= 0))
+      )
+    ) {
+      return "scroll needs a numeric y and a non-negative wait";
+    }
+    if (
+      rule.viewport !== undefined &&
+      !(
+        rule.viewport &&
+        ["width", "height"].every(
+          (field) =>
+            rule.viewport[field] === undefined ||
+            (Number.isInteger(rule.viewport[field]) && rule.viewport[field] > 0)
+        ) &&
+        (rule.viewport.deviceScaleFactor === undefined ||
+          (Number.isFinite(rule.viewport.deviceScaleFactor) &&
+            rule.viewport.deviceScaleFactor > 0))
+      )
+    ) {
+      return "viewport width and height must be positive integers and deviceScaleFactor a positive number";
+    }
+    return null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      if (this.rules.length > 0) {
+        console.log("Site rules file removed, clearing rules");
+      }
+      this.rules = [];
+      this.version++;
+      return;
+    }
+
+    try {
+      const text = fs.readFileSync(this.file, "utf8");
+      const data = /\.ya?ml$/i.test(this.file)
+        ? require("yaml").parse(text)
+        : JSON.parse(text);
+
+      const rules = [];
+      for (const [pattern, rule] of Object.entries(data || {})) {
+        const error = SiteRules.validate(rule);
+        if (error) {
+          console.error(`Skipping site rule ${pattern}: ${error}`);
+          continue;
+        }
+        rules.push({
+          pattern,
+          matches: SiteRules.compilePattern(pattern),
+          rule,
+        });
+      }
+
+      // Broad patterns first so more specific ones override them when merged
+      const specificity = (pattern) => pattern.replace(/\*/g, "").length;
+      rules.sort((a, b) => specificity(a.pattern) - specificity(b.pattern));
+
+      this.rules = rules;
+      this.version++;
+      console.log(`Loaded ${rules.length} site rules from ${this.file}`);
+    } catch (error) {
+      // Keep the previous rules while a file is half-written or invalid
+      console.error("Failed to load site rules:", error.message);
+    }
+  }
+
+  // Merged rule for a URL; empty when no pattern matches
+  match(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return {};
+    }
+
+    return this.rules
+      .filter(({ matches }) => matches(hostname))
+      .reduce(
+        (merged, { rule }) => ({
+          ...merged,
+          ...rule,
+          headers: { ...merged.headers, ...rule.headers },
+        }),
+        {}
+      );
+  }
+}
+
 // Initialize services
 const browserPool = new BrowserPool();
 const requestQueue = new RequestQueue();
 const cache = new SimpleCache();
 const memoryMonitor = new MemoryMonitor();
+const baselineStore = new BaselineStore();
+const siteRules = new SiteRules();
 
 // Global state
 let lastActivity = Date.now();
@@ -854,6 +1333,7 @@ let idleTimeout;
 async function initializeServices() {
   try {
     await browserPool.initialize();
+    await detectFfmpeg();
     console.log("All services initialized successfully");
   } catch (error) {
     console.error("Failed to initialize services:", error);
@@ -861,93 +1341,409 @@ async function initializeServices() {
   }
 }
 
-// Comprehensive page loading function with dynamic content detection
-async function waitForPageLoad(page, timeout = CONFIG.PAGE_LOAD_TIMEOUT) {
+// Loading stages in pipeline order. A stage value is its timeout in ms; for
+// the pauses (scripts, finalWait) it is the pause itself, and lazyLoading
+// uses it as the scrolling budget.
+const WAIT_STAGES = [
+  "dom",
+  "mainContent",
+  "cookieConsent",
+  "networkIdle",
+  "contentStability",
+  "lazyLoading",
+  "images",
+  "iframes",
+  "scripts",
+  "criticalContent",
+  "siteSpecific",
+  "finalWait",
+];
+
+// Named wait strategies; stages left out of a strategy are skipped
+const WAIT_STRATEGIES = {
+  fast: {
+    dom: 10000,
+    networkIdle: 3000,
+    images: 3000,
+  },
+  balanced: {
+    dom: 15000,
+    mainContent: 5000,
+    cookieConsent: 5000,
+    networkIdle: 10000,
+    contentStability: 5000,
+    lazyLoading: 5000,
+    images: 5000,
+    iframes: 3000,
+    criticalContent: 5000,
+    siteSpecific: 10000,
+    finalWait: 500,
+  },
+  // The full pipeline with its original fixed pauses
+  thorough: {
+    dom: CONFIG.PAGE_LOAD_TIMEOUT * 0.3,
+    mainContent: CONFIG.PAGE_LOAD_TIMEOUT * 0.2,
+    cookieConsent: 10000,
+    networkIdle: CONFIG.PAGE_LOAD_TIMEOUT * 0.2,
+    contentStability: CONFIG.CONTENT_STABILITY_TIMEOUT,
+    lazyLoading: CONFIG.PAGE_LOAD_TIMEOUT,
+    images: CONFIG.PAGE_LOAD_TIMEOUT * 0.1,
+    iframes: CONFIG.PAGE_LOAD_TIMEOUT * 0.1,
+    scripts: 2000,
+    criticalContent: CONFIG.CRITICAL_CONTENT_TIMEOUT,
+    siteSpecific: 20000,
+    finalWait: 2000,
+  },
+};
+
+// An unknown or custom default would break every request without wait=
+if (!WAIT_STRATEGIES[CONFIG.DEFAULT_WAIT_STRATEGY]) {
+  console.error(
+    `Invalid DEFAULT_WAIT_STRATEGY "${CONFIG.DEFAULT_WAIT_STRATEGY}", falling back to thorough`
+  );
+  CONFIG.DEFAULT_WAIT_STRATEGY = "thorough";
+}
+
+// Build the wait plan for a named strategy
+function resolveWaitPlan(name, stages = WAIT_STRATEGIES[name]) {
+  return { name, stages: { ...stages } };
+}
+
+// Parse wait=<strategy>; custom takes waitStages=<stage>[:<ms>],...
+function parseWaitOptions(query) {
+  const name = query.wait || CONFIG.DEFAULT_WAIT_STRATEGY;
+
+  if (name !== "custom") {
+    if (!WAIT_STRATEGIES[name]) {
+      return {
+        error: `Invalid wait parameter. Must be one of: ${Object.keys(
+          WAIT_STRATEGIES
+        ).join(", ")}, custom`,
+      };
+    }
+    return { options: resolveWaitPlan(name) };
+  }
+
+  if (!query.waitStages) {
+    return { error: "wait=custom requires a waitStages parameter" };
+  }
+
+  // Stages without a timeout use the thorough default
+  const stages = {};
+  for (const entry of String(query.waitStages).split(",")) {
+    const [stage, value] = entry.trim().split(":");
+    if (!WAIT_STAGES.includes(stage)) {
+      return {
+        error: `Unknown wait stage: ${stage}. Must be one of: ${WAIT_STAGES.join(
+          ", "
+        )}`,
+      };
+    }
+
+    if (value === undefined) {
+      stages[stage] = WAIT_STRATEGIES.thorough[stage];
+      continue;
+    }
+
+    // Puppeteer treats a timeout of 0 as "wait forever"
+    const timeout = Number(value);
+    if (
+      !Number.isInteger(timeout) ||
+      timeout < 1 ||
+      timeout > CONFIG.PAGE_LOAD_TIMEOUT
+    ) {
+      return {
+        error: `Invalid timeout for wait stage ${stage}. Must be between 1 and ${CONFIG.PAGE_LOAD_TIMEOUT}`,
+      };
+    }
+    stages[stage] = timeout;
+  }
+
+  return { options: resolveWaitPlan("custom", stages) };
+}
+
+// Cache key fragment for a wait plan
+function waitPlanKey(waitPlan) {
+  return waitPlan.name === "custom"
+    ? `custom:${JSON.stringify(waitPlan.stages)}`
+    : waitPlan.name;
+}
+
+// Summarize stage timings for the X-Load-Stages header
+function formatStagesHeader(stages) {
+  return stages
+    .map(
+      (stage) =>
+        `${stage.name}=${stage.duration}${stage.failed ? ";failed" : ""}`
+    )
+    .join(", ");
+}
+
+// Track how long each named loading stage takes
+function createStageTimer() {
+  const stages = [];
+  let current = null;
+
+  const finish = (details = {}) => {
+    if (current) {
+      stages.push({
+        name: current.name,
+        duration: Date.now() - current.start,
+        ...details,
+      });
+      current = null;
+    }
+  };
+
+  return {
+    stages,
+    start(name) {
+      finish();
+      current = { name, start: Date.now() };
+    },
+    finish,
+  };
+}
+
+// Compile request patterns; entries that are not valid regexes match literally
+function compileRequestPatterns(patterns) {
+  return patterns
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      try {
+        return new RegExp(pattern, "i");
+      } catch (e) {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      }
+    });
+}
+
+// Requests that never settle and should not hold up network idle
+const NETWORK_IDLE_IGNORE_PATTERNS = compileRequestPatterns(
+  CONFIG.NETWORK_IDLE_IGNORE
+);
+
+// Count in-flight requests of a page so we can tell when the network is idle
+function startNetworkTracker(page) {
+  const inFlight = new Map();
+  let lastBusy = Date.now();
+
+  const isIgnored = (request) =>
+    ["websocket", "eventsource"].includes(request.resourceType()) ||
+    NETWORK_IDLE_IGNORE_PATTERNS.some((pattern) => pattern.test(request.url()));
+
+  // Requests open longer than the max age are treated as long-polling
+  const pending = () => {
+    const now = Date.now();
+    let count = 0;
+    for (const started of inFlight.values()) {
+      if (now - started < CONFIG.NETWORK_IDLE_MAX_REQUEST_AGE) {
+        count++;
+      }
+    }
+    return count;
+  };
+
+  const onRequest = (request) => {
+    if (!isIgnored(request)) {
+      inFlight.set(request, Date.now());
+      if (pending() > CONFIG.NETWORK_IDLE_THRESHOLD) {
+        lastBusy = Date.now();
+      }
+    }
+  };
+
+  const onDone = (request) => {
+    const busy = pending() > CONFIG.NETWORK_IDLE_THRESHOLD;
+    if (inFlight.delete(request) && busy) {
+      lastBusy = Date.now();
+    }
+  };
+
+  page.on("request", onRequest);
+  page.on("requestfinished", onDone);
+  page.on("requestfailed", onDone);
+
+  return {
+    pending,
+
+    // Resolve true once at most the threshold of requests stayed in flight
+    // for the whole quiet window, or false when the timeout runs out
+    async waitForIdle(timeout, idleTime = CONFIG.NETWORK_IDLE_WINDOW) {
+      const deadline = Date.now() + timeout;
+
+      while (Date.now() < deadline) {
+        if (pending() > CONFIG.NETWORK_IDLE_THRESHOLD) {
+          lastBusy = Date.now();
+        } else if (Date.now() - lastBusy >= idleTime) {
+          return true;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+
+      return false;
+    },
+
+    stop() {
+      page.off("request", onRequest);
+      page.off("requestfinished", onDone);
+      page.off("requestfailed", onDone);
+    },
+  };
+}
+
+// Comprehensive page loading function with dynamic content detection;
+// the wait plan decides which stages run and how long each may take, and
+// an aborted signal skips the stages that have not started yet
+async function waitForPageLoad(
+  page,
+  waitPlan = resolveWaitPlan(CONFIG.DEFAULT_WAIT_STRATEGY),
+  {
+    networkTracker = null,
+    siteRule = {},
+    consent = "accept",
+    signal = null,
+  } = {}
+) {
+  const timer = createStageTimer();
+  const stages = waitPlan.stages;
+  const runs = (stage) =>
+    stages[stage] !== undefined && !(signal && signal.aborted);
+
   try {
-    console.log("Waiting for complete page load...");
+    console.log(`Waiting for page load (${waitPlan.name} strategy)...`);
 
     // 1. Wait for DOM to load completely
-    console.log("1. Waiting for DOM to load...");
-    await page.waitForFunction(() => document.readyState === "complete", {
-      timeout: timeout * 0.3, // 30% of total time
-    });
+    if (runs("dom")) {
+      console.log("1. Waiting for DOM to load...");
+      timer.start("dom");
+      await page.waitForFunction(() => document.readyState === "complete", {
+        timeout: stages.dom,
+      });
+    }
 
     // 2. Wait for main content in the webpage
-    console.log("2. Waiting for main content...");
-    await page.waitForFunction(
-      () => document.body && document.body.innerText.length > 50,
-      { timeout: timeout * 0.2 }
-    );
+    if (runs("mainContent")) {
+      console.log("2. Waiting for main content...");
+      timer.start("mainContent");
+      await page.waitForFunction(
+        () => document.body && document.body.innerText.length > 50,
+        { timeout: stages.mainContent }
+      );
+    }
 
     // 3. Handle cookie consent popup
-    console.log("3. Handling cookie consent...");
-    await dismissCookieConsent(page);
+    if (runs("cookieConsent")) {
+      console.log("3. Handling cookie consent...");
+      timer.start("cookieConsent");
+      const result = await handleCookieConsent(
+        page,
+        consent,
+        stages.cookieConsent
+      );
+      timer.finish(result);
+    }
 
     // 4. Wait for network activity to settle (wait for API calls to complete)
-    console.log("4. Waiting for network activity to settle...");
-    try {
-      await page.waitForLoadState("networkidle", { timeout: timeout * 0.2 });
-    } catch (e) {
-      console.log("Network not idle but proceeding...");
+    if (runs("networkIdle")) {
+      console.log("4. Waiting for network activity to settle...");
+      timer.start("networkIdle");
+      // Without a tracker from before navigation only new requests are seen
+      const tracker = networkTracker || startNetworkTracker(page);
+      try {
+        const idle = await tracker.waitForIdle(stages.networkIdle);
+        if (!idle) {
+          console.log(
+            `Network not idle (${tracker.pending()} requests in flight) but proceeding...`
+          );
+        }
+      } finally {
+        if (!networkTracker) {
+          tracker.stop();
+        }
+      }
     }
 
     // 5. Wait for DOM content to change less (for websites with async data loading)
-    console.log("5. Waiting for DOM content to stabilize...");
-    await waitForContentStability(page, CONFIG.CONTENT_STABILITY_TIMEOUT);
+    if (runs("contentStability")) {
+      console.log("5. Waiting for DOM content to stabilize...");
+      timer.start("contentStability");
+      await waitForContentStability(page, stages.contentStability);
+    }
 
     // 6. Scroll slowly to trigger lazy loading and dynamic content
-    console.log("6. Scrolling to trigger lazy loading...");
-    await triggerLazyLoading(page);
+    if (runs("lazyLoading")) {
+      console.log("6. Scrolling to trigger lazy loading...");
+      timer.start("lazyLoading");
+      await triggerLazyLoading(page, stages.lazyLoading);
+    }
 
     // 7. Wait for all images to load (if any)
-    console.log("7. Waiting for images to load...");
-    try {
-      await page.waitForFunction(
-        () => {
-          const images = Array.from(document.querySelectorAll("img"));
-          return (
-            images.length === 0 ||
-            images.every((img) => img.complete && img.naturalHeight > 0)
-          );
-        },
-        { timeout: timeout * 0.1 }
-      );
-    } catch (e) {
-      console.log("Some images may not load but proceeding");
+    if (runs("images")) {
+      console.log("7. Waiting for images to load...");
+      timer.start("images");
+      try {
+        await page.waitForFunction(
+          () => {
+            const images = Array.from(document.querySelectorAll("img"));
+            return (
+              images.length === 0 ||
+              images.every((img) => img.complete && img.naturalHeight > 0)
+            );
+          },
+          { timeout: stages.images }
+        );
+      } catch (e) {
+        console.log("Some images may not load but proceeding");
+      }
     }
 
     // 8. Wait for iframes to load (for websites with iframes)
-    console.log("8. Waiting for iframes to load...");
-    try {
-      await page.waitForFunction(
-        () => {
-          const iframes = Array.from(document.querySelectorAll("iframe"));
-          return (
-            iframes.length === 0 ||
-            iframes.every((iframe) => iframe.contentDocument)
-          );
-        },
-        { timeout: timeout * 0.1 }
-      );
-    } catch (e) {
-      console.log("Some iframes may not load but proceeding");
+    if (runs("iframes")) {
+      console.log("8. Waiting for iframes to load...");
+      timer.start("iframes");
+      try {
+        await page.waitForFunction(
+          () => {
+            const iframes = Array.from(document.querySelectorAll("iframe"));
+            return (
+              iframes.length === 0 ||
+              iframes.every((iframe) => iframe.contentDocument)
+            );
+          },
+          { timeout: stages.iframes }
+        );
+      } catch (e) {
+        console.log("Some iframes may not load but proceeding");
+      }
     }
 
     // 9. Wait for JavaScript and animations to complete
-    console.log("9. Waiting for JavaScript and animations to complete...");
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    if (runs("scripts")) {
+      console.log("9. Waiting for JavaScript and animations to complete...");
+      timer.start("scripts");
+      await new Promise((resolve) => setTimeout(resolve, stages.scripts));
+    }
 
     // 10. Check and wait for critical content to load
-    console.log("10. Checking for critical content...");
-    await waitForCriticalContent(page, CONFIG.CRITICAL_CONTENT_TIMEOUT);
+    if (runs("criticalContent")) {
+      console.log("10. Checking for critical content...");
+      timer.start("criticalContent");
+      await waitForCriticalContent(page, stages.criticalContent, siteRule);
+    }
 
+    timer.finish();
     console.log("✅ Page loaded completely!");
   } catch (error) {
+    timer.finish({ failed: true });
     console.log(
       "⚠️ Page load timeout for some parts but proceeding:",
       error.message
     );
   }
+
+  return timer.stages;
 }
 
 // Check content stability
@@ -981,16 +1777,20 @@ async function waitForContentStability(page, timeout = 10000) {
   }
 }
 
-// Trigger lazy loading by scrolling
-async function triggerLazyLoading(page) {
+// Trigger lazy loading by scrolling, stopping early once the budget is spent
+async function triggerLazyLoading(page, timeout = CONFIG.PAGE_LOAD_TIMEOUT) {
   try {
-    await page.evaluate(async () => {
+    await page.evaluate(async (timeout) => {
+      const started = Date.now();
       const scrollHeight = document.body.scrollHeight;
       const viewportHeight = window.innerHeight;
       let currentPosition = 0;
       const scrollStep = viewportHeight * 0.8;
 
-      while (currentPosition < scrollHeight - viewportHeight) {
+      while (
+        currentPosition < scrollHeight - viewportHeight &&
+        Date.now() - started < timeout
+      ) {
         window.scrollBy(0, scrollStep);
         currentPosition += scrollStep;
         await new Promise((resolve) => setTimeout(resolve, 800));
@@ -999,74 +1799,64 @@ async function triggerLazyLoading(page) {
       // Scroll back to top
       window.scrollTo(0, 0);
       await new Promise((resolve) => setTimeout(resolve, 1000));
-    });
+    }, timeout);
   } catch (error) {
     console.log("Lazy loading trigger failed:", error.message);
   }
 }
 
+// Generic content selectors; site rules can replace them per domain
+const CRITICAL_SELECTORS = [
+  // General content
+  "main",
+  ".main-content",
+  ".content",
+  ".container",
+  ".wrapper",
+
+  // Dashboard/Report content
+  ".dashboard",
+  ".report",
+  ".chart",
+  ".graph",
+  ".table",
+  ".data-table",
+
+  // E-commerce
+  ".product-list",
+  ".product-grid",
+  ".catalog",
+
+  // News/Content sites
+  ".article",
+  ".post",
+  ".entry",
+  ".news-item",
+];
+
 // Wait for critical content to load
-async function waitForCriticalContent(page, timeout = 10000) {
+async function waitForCriticalContent(page, timeout = 10000, siteRule = {}) {
+  const selectors = siteRule.criticalSelectors || CRITICAL_SELECTORS;
+  const minTextLength =
+    siteRule.minTextLength !== undefined ? siteRule.minTextLength : 200;
+
   try {
     await page.waitForFunction(
-      () => {
-        // Check important selectors for various websites
-        const criticalSelectors = [
-          // General content
-          "main",
-          ".main-content",
-          ".content",
-          ".container",
-          ".wrapper",
-
-          // Dashboard/Report content
-          ".dashboard",
-          ".report",
-          ".chart",
-          ".graph",
-          ".table",
-          ".data-table",
-
-          // E-commerce
-          ".product-list",
-          ".product-grid",
-          ".catalog",
-
-          // News/Content sites
-          ".article",
-          ".post",
-          ".entry",
-          ".news-item",
-
-          // Sports sites (FlashScore, etc.)
-          ".sportName",
-          ".event__match",
-          ".event__header",
-          ".league",
-          ".participant",
-          ".odds",
-          ".live",
-          ".result",
-
-          // Check for meaningful text content
-          () => document.body && document.body.innerText.length > 200,
-        ];
-
+      (selectors, minTextLength) => {
         // Check if any critical content is present
-        for (const selector of criticalSelectors) {
-          if (typeof selector === "function") {
-            if (selector()) return true;
-          } else if (document.querySelector(selector)) {
-            const element = document.querySelector(selector);
-            if (element && element.offsetHeight > 0) {
-              return true;
-            }
+        for (const selector of selectors) {
+          const element = document.querySelector(selector);
+          if (element && element.offsetHeight > 0) {
+            return true;
           }
         }
 
-        return false;
+        // Check for meaningful text content
+        return document.body && document.body.innerText.length > minTextLength;
       },
-      { timeout }
+      { timeout },
+      selectors,
+      minTextLength
     );
 
     console.log("Critical content detected");
@@ -1075,77 +1865,3862 @@ async function waitForCriticalContent(page, timeout = 10000) {
   }
 }
 
-// Simplified cookie dismissal
-async function dismissCookieConsent(page) {
-  try {
-    const cookieSelectors = [
-      '[data-testid="cookie-accept"]',
-      '[data-testid="accept-cookies"]',
-      ".cookie-accept",
-      ".accept-cookies",
-      ".gdpr-accept",
-      ".consent-accept",
-      "#accept-cookies",
-      ".cookie-consent-accept",
-      ".fc-consent-root",
-      "#cookie-consent",
-    ];
-
-    for (const selector of cookieSelectors) {
-      try {
-        const button = await page.$(selector);
-        if (button) {
-          const isVisible = await page.evaluate((el) => {
-            const rect = el.getBoundingClientRect();
-            return (
-              rect.width > 0 &&
-              rect.height > 0 &&
-              window.getComputedStyle(el).visibility !== "hidden"
-            );
-          }, button);
+// Known consent management platforms. `detect` finds the banner, `accept`
+// and `reject` its buttons, and `remove` what to hide when clicking fails.
+// Selectors are searched in every frame and inside open shadow roots.
+const CONSENT_PLATFORMS = [
+  {
+    name: "OneTrust",
+    detect: ["#onetrust-banner-sdk", "#onetrust-pc-sdk"],
+    accept: ["#onetrust-accept-btn-handler", "#accept-recommended-btn-handler"],
+    reject: ["#onetrust-reject-all-handler", ".ot-pc-refuse-all-handler"],
+    remove: ["#onetrust-consent-sdk"],
+  },
+  {
+    name: "Cookiebot",
+    detect: ["#CybotCookiebotDialog"],
+    accept: [
+      "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
+      "#CybotCookiebotDialogBodyButtonAccept",
+    ],
+    reject: ["#CybotCookiebotDialogBodyButtonDecline"],
+    remove: ["#CybotCookiebotDialog", "#CybotCookiebotDialogBodyUnderlay"],
+  },
+  {
+    name: "Funding Choices",
+    detect: [".fc-consent-root"],
+    accept: [".fc-cta-consent"],
+    reject: [".fc-cta-do-not-consent"],
+    remove: [".fc-consent-root"],
+  },
+  {
+    name: "Quantcast",
+    detect: [".qc-cmp2-container"],
+    accept: ['.qc-cmp2-summary-buttons button[mode="primary"]'],
+    reject: ['.qc-cmp2-summary-buttons button[mode="secondary"]'],
+    remove: [".qc-cmp2-container"],
+  },
+  {
+    name: "Didomi",
+    detect: ["#didomi-notice", "#didomi-popup"],
+    accept: ["#didomi-notice-agree-button"],
+    reject: [
+      "#didomi-notice-disagree-button",
+      ".didomi-continue-without-agreeing",
+    ],
+    remove: ["#didomi-host"],
+  },
+  {
+    // The banner sits in the page, the preference modal in an iframe
+    name: "TrustArc",
+    detect: ["#truste-consent-track", ".pdynamicbutton"],
+    accept: ["#truste-consent-button", ".pdynamicbutton .call"],
+    reject: ["#truste-consent-required", ".pdynamicbutton .required"],
+    remove: [
+      "#truste-consent-track",
+      ".truste_overlay",
+      ".truste_box_overlay",
+      'iframe[src*="trustarc.com"]',
+    ],
+  },
+  {
+    // Rendered inside the shadow root of #usercentrics-root
+    name: "Usercentrics",
+    detect: ['[data-testid="uc-default-banner"]', "#uc-center-container"],
+    accept: ['[data-testid="uc-accept-all-button"]'],
+    reject: ['[data-testid="uc-deny-all-button"]'],
+    remove: ["#usercentrics-root", "#usercentrics-cmp-ui"],
+  },
+];
+
+// Buttons of home-grown banners, matched by their label
+const CONSENT_BUTTON_LABELS = {
+  accept:
+    /\b(accept|agree|allow all|got it)\b|akzeptieren|zustimmen|accepter|accetta|aceptar|aceitar|accepteren/i,
+  reject:
+    /\b(reject|decline|refuse|deny|disagree|necessary only|only necessary|continue without)\b|ablehnen|refuser|rifiuta|rechazar|rejeitar|weigeren/i,
+};
+
+// Selectors of home-grown accept buttons
+const GENERIC_CONSENT_SELECTORS = [
+  '[data-testid="cookie-accept"]',
+  '[data-testid="accept-cookies"]',
+  ".cookie-accept",
+  ".accept-cookies",
+  ".gdpr-accept",
+  ".consent-accept",
+  "#accept-cookies",
+  ".cookie-consent-accept",
+];
+
+// Indexes into CONSENT_PLATFORMS of the banners visible in any frame,
+// checked with one round trip per frame
+async function detectConsentPlatforms(page) {
+  const detected = new Set();
+  const detectLists = CONSENT_PLATFORMS.map((platform) => platform.detect);
+
+  for (const frame of page.frames()) {
+    if (frame.detached) {
+      continue;
+    }
+    try {
+      const found = await frame.evaluate((detectLists) => {
+        const queryDeep = (root, selector) => {
+          const match = root.querySelector(selector);
+          if (match) {
+            return [match];
+          }
+          const found = [];
+          root.querySelectorAll("*").forEach((el) => {
+            if (el.shadowRoot) {
+              found.push(...queryDeep(el.shadowRoot, selector));
+            }
+          });
+          return found;
+        };
+        const isVisible = (el) => {
+          const rect = el.getBoundingClientRect();
+          return (
+            rect.width > 0 &&
+            rect.height > 0 &&
+            window.getComputedStyle(el).visibility !== "hidden"
+          );
+        };
+
+        return detectLists
+          .map((selectors, index) =>
+            selectors.some((selector) =>
+              queryDeep(document, selector).some(isVisible)
+            )
+              ? index
+              : -1
+          )
+          .filter((index) => index >= 0);
+      }, detectLists);
+      found.forEach((index) => detected.add(index));
+    } catch (e) {
+      // Frames can navigate away while we search
+    }
+  }
+
+  return [...detected].sort((a, b) => a - b);
+}
+
+// Find the first visible element matching any selector in any frame,
+// including elements inside open shadow roots
+async function findConsentElement(page, selectors) {
+  for (const frame of page.frames()) {
+    if (frame.detached) {
+      continue;
+    }
+    try {
+      const handle = await frame.evaluateHandle((selectors) => {
+        const queryDeep = (root, selector, found) => {
+          found.push(...root.querySelectorAll(selector));
+          root.querySelectorAll("*").forEach((el) => {
+            if (el.shadowRoot) {
+              queryDeep(el.shadowRoot, selector, found);
+            }
+          });
+          return found;
+        };
+
+        for (const selector of selectors) {
+          for (const el of queryDeep(document, selector, [])) {
+            const rect = el.getBoundingClientRect();
+            if (
+              rect.width > 0 &&
+              rect.height > 0 &&
+              window.getComputedStyle(el).visibility !== "hidden"
+            ) {
+              return el;
+            }
+          }
+        }
+        return null;
+      }, selectors);
+      const element = handle.asElement();
+      if (element) {
+        return element;
+      }
+      await handle.dispose();
+    } catch (e) {
+      // Frames can navigate away while we search
+    }
+  }
+  return null;
+}
+
+// Find a visible button in a home-grown consent banner by its label
+async function findConsentButtonByLabel(page, mode) {
+  for (const frame of page.frames()) {
+    if (frame.detached) {
+      continue;
+    }
+    try {
+      const handle = await frame.evaluateHandle(
+        (pattern, flags) => {
+          const label = new RegExp(pattern, flags);
+
+          // Also walks open shadow roots, including the root's own
+          const queryDeep = (root, selector, found) => {
+            found.push(...root.querySelectorAll(selector));
+            const shadowRoots = root.shadowRoot ? [root.shadowRoot] : [];
+            root.querySelectorAll("*").forEach((el) => {
+              if (el.shadowRoot) {
+                shadowRoots.push(el.shadowRoot);
+              }
+            });
+            shadowRoots.forEach((shadowRoot) =>
+              queryDeep(shadowRoot, selector, found)
+            );
+            return found;
+          };
+
+          const containers = queryDeep(
+            document,
+            '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i], [aria-label*="cookie" i], [aria-label*="consent" i]',
+            []
+          );
+          for (const container of containers) {
+            const buttons = queryDeep(
+              container,
+              'button, a[role="button"], [role="button"], input[type="button"], input[type="submit"]',
+              []
+            );
+            for (const button of buttons) {
+              const text = (
+                button.innerText ||
+                button.textContent ||
+                button.value ||
+                ""
+              ).trim();
+              const rect = button.getBoundingClientRect();
+              if (
+                text.length > 0 &&
+                text.length <= 40 &&
+                label.test(text) &&
+                rect.width > 0 &&
+                rect.height > 0
+              ) {
+                return button;
+              }
+            }
+          }
+          return null;
+        },
+        CONSENT_BUTTON_LABELS[mode].source,
+        CONSENT_BUTTON_LABELS[mode].flags
+      );
+      const element = handle.asElement();
+      if (element) {
+        return element;
+      }
+      await handle.dispose();
+    } catch (e) {
+      // Frames can navigate away while we search
+    }
+  }
+  return null;
+}
+
+// Hide consent banners in every frame and unlock scrolling they disabled;
+// sweepGeneric also hides unknown fixed consent containers
+async function removeConsentBanners(page, selectors, sweepGeneric = false) {
+  let removed = 0;
+
+  for (const frame of page.frames()) {
+    if (frame.detached) {
+      continue;
+    }
+    try {
+      removed += await frame.evaluate(
+        (selectors, sweepGeneric) => {
+          const queryDeep = (root, selector, found) => {
+            found.push(...root.querySelectorAll(selector));
+            root.querySelectorAll("*").forEach((el) => {
+              if (el.shadowRoot) {
+                queryDeep(el.shadowRoot, selector, found);
+              }
+            });
+            return found;
+          };
+
+          const targets = new Set();
+          for (const selector of selectors) {
+            queryDeep(document, selector, []).forEach((el) => targets.add(el));
+          }
+
+          // Unknown banners: fixed consent containers and their overlays
+          if (sweepGeneric) {
+            document
+              .querySelectorAll(
+                '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i], [id^="sp_message_container"], iframe[id^="sp_message_iframe"]'
+              )
+              .forEach((el) => {
+                const position = window.getComputedStyle(el).position;
+                if (
+                  (position === "fixed" || position === "sticky") &&
+                  el !== document.body &&
+                  el !== document.documentElement
+                ) {
+                  targets.add(el);
+                }
+              });
+          }
+
+          targets.forEach((el) => {
+            el.style.setProperty("display", "none", "important");
+          });
+
+          if (targets.size > 0) {
+            for (const el of [document.documentElement, document.body]) {
+              if (el && window.getComputedStyle(el).overflow === "hidden") {
+                el.style.setProperty("overflow", "auto", "important");
+              }
+            }
+          }
+
+          return targets.size;
+        },
+        selectors,
+        sweepGeneric
+      );
+    } catch (e) {
+      // Frames can navigate away while we search
+    }
+  }
+
+  return removed;
+}
+
+// Click a consent button and report whether the banner went away; the
+// button handle is always released
+async function clickConsentButton(page, button, platformIndex) {
+  try {
+    await button.click();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    return (
+      platformIndex === null ||
+      !(await detectConsentPlatforms(page)).includes(platformIndex)
+    );
+  } catch (e) {
+    return false;
+  } finally {
+    await button.dispose().catch(() => {});
+  }
+}
+
+// Consent handling without a time limit; expired() reports when the caller
+// has given up so no further clicks are made
+async function dismissCookieConsent(page, mode, expired) {
+  const [platformIndex] = await detectConsentPlatforms(page);
+
+  if (platformIndex !== undefined) {
+    const platform = CONSENT_PLATFORMS[platformIndex];
+
+    if (mode !== "remove" && !expired()) {
+      const button = await findConsentElement(page, platform[mode]);
+      if (button && expired()) {
+        await button.dispose();
+      } else if (
+        button &&
+        (await clickConsentButton(page, button, platformIndex))
+      ) {
+        console.log(`Cookie consent ${mode}ed via ${platform.name}`);
+        return { platform: platform.name, action: mode };
+      }
+    }
+
+    const removed = await removeConsentBanners(page, platform.remove, true);
+    console.log(`Cookie banner of ${platform.name} removed (${removed})`);
+    return { platform: platform.name, action: "remove" };
+  }
+
+  // Home-grown banners: known selectors first, then button labels
+  let bannerFound = false;
+  if (mode !== "remove" && !expired()) {
+    const button =
+      (mode === "accept" &&
+        (await findConsentElement(page, GENERIC_CONSENT_SELECTORS))) ||
+      (await findConsentButtonByLabel(page, mode));
+    if (button && expired()) {
+      await button.dispose();
+    } else if (button) {
+      bannerFound = true;
+      if (await clickConsentButton(page, button, null)) {
+        console.log(`Cookie consent ${mode}ed via generic banner`);
+        return { platform: null, action: mode };
+      }
+    }
+  }
+
+  // Only hide unknown containers when asked to or when a banner resisted
+  if (mode === "remove" || bannerFound) {
+    const removed = await removeConsentBanners(page, [], true);
+    if (removed > 0) {
+      console.log(`Cookie banner removed (${removed})`);
+      return { platform: null, action: "remove" };
+    }
+  }
+
+  return { platform: null, action: "none" };
+}
+
+// Accept or reject cookie consent within budget ms, recognising the major
+// CMPs; banners that cannot be dismissed are hidden with CSS. mode is
+// accept, reject or remove.
+async function handleCookieConsent(
+  page,
+  mode = "accept",
+  budget = WAIT_STRATEGIES.thorough.cookieConsent
+) {
+  let timer;
+  let timedOut = false;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve({ platform: null, action: "timeout" });
+    }, budget);
+  });
+
+  try {
+    const result = await Promise.race([
+      dismissCookieConsent(page, mode, () => timedOut),
+      timeout,
+    ]);
+    if (timedOut) {
+      console.log(`Cookie handling stopped after ${budget}ms`);
+    }
+    return result;
+  } catch (error) {
+    console.log("Cookie handling failed:", error.message);
+    return { platform: null, action: "none" };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Schedule browser pool cleanup
+function scheduleCleanup() {
+  if (idleTimeout) {
+    clearTimeout(idleTimeout);
+  }
+
+  idleTimeout = setTimeout(async () => {
+    if (Date.now() - lastActivity >= CONFIG.IDLE_TIMEOUT) {
+      console.log(
+        `Service idle for ${CONFIG.IDLE_TIMEOUT / 1000} seconds, cleaning up...`
+      );
+      await browserPool.shutdown();
+      cache.clear();
+    }
+  }, CONFIG.IDLE_TIMEOUT);
+}
+
+// Cancel cleanup
+function cancelCleanup() {
+  if (idleTimeout) {
+    clearTimeout(idleTimeout);
+    idleTimeout = null;
+  }
+}
+
+// Generate cache key from request parameters
+function generateCacheKey(...parts) {
+  return crypto.createHash("md5").update(parts.join("_")).digest("hex");
+}
+
+// Normalize device names so "iphone-15-pro" matches "iPhone 15 Pro"
+function normalizeDeviceName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ");
+}
+
+// Load device emulation profiles: KnownDevices, generic presets and custom file
+function loadDeviceProfiles() {
+  const profiles = new Map();
+  const addProfile = (name, device) => {
+    profiles.set(normalizeDeviceName(name), { ...device, name });
+  };
+
+  for (const [name, device] of Object.entries(puppeteer.KnownDevices)) {
+    addProfile(name, device);
+  }
+
+  // Generic presets
+  addProfile("mobile", puppeteer.KnownDevices["iPhone 15 Pro"]);
+  addProfile("tablet", puppeteer.KnownDevices["iPad Pro 11"]);
+  addProfile("desktop", {
+    userAgent: DEFAULT_USER_AGENT,
+    viewport: {
+      width: 1920,
+      height: 1080,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: true,
+    },
+  });
+
+  // Custom profiles override built-in ones with the same name
+  if (fs.existsSync(CONFIG.DEVICE_PROFILES_FILE)) {
+    try {
+      const custom = JSON.parse(
+        fs.readFileSync(CONFIG.DEVICE_PROFILES_FILE, "utf8")
+      );
+      let loaded = 0;
+      for (const [name, device] of Object.entries(custom)) {
+        const viewport = device && device.viewport;
+        if (
+          !viewport ||
+          typeof device.userAgent !== "string" ||
+          !(Number.isInteger(viewport.width) && viewport.width > 0) ||
+          !(Number.isInteger(viewport.height) && viewport.height > 0)
+        ) {
+          console.error(`Skipping invalid device profile: ${name}`);
+          continue;
+        }
+        addProfile(name, {
+          userAgent: device.userAgent,
+          viewport: {
+            deviceScaleFactor: 1,
+            isMobile: false,
+            hasTouch: false,
+            isLandscape: viewport.width > viewport.height,
+            ...viewport,
+          },
+        });
+        loaded++;
+      }
+      console.log(
+        `Loaded ${loaded} custom device profiles from ${CONFIG.DEVICE_PROFILES_FILE}`
+      );
+    } catch (error) {
+      console.error("Failed to load device profiles:", error.message);
+    }
+  }
+
+  return profiles;
+}
+
+const deviceProfiles = loadDeviceProfiles();
+
+// Supported media emulation values
+const MEDIA_OPTIONS = {
+  colorScheme: ["light", "dark", "no-preference"],
+  reducedMotion: ["reduce", "no-preference"],
+  media: ["screen", "print"],
+};
+
+// Validate color scheme, reduced motion and media type parameters
+function parseMediaOptions(query) {
+  const options = {};
+
+  for (const [param, values] of Object.entries(MEDIA_OPTIONS)) {
+    if (query[param] && !values.includes(query[param])) {
+      return {
+        error: `Invalid ${param} parameter. Supported values: ${values.join(
+          ", "
+        )}`,
+      };
+    }
+  }
+
+  if (query.colorScheme) {
+    options.colorScheme = query.colorScheme;
+  }
+  if (query.reducedMotion) {
+    options.reducedMotion = query.reducedMotion;
+  }
+  if (query.media) {
+    options.mediaType = query.media;
+  }
+
+  return { options };
+}
+
+// Parse consent=<accept|reject|remove> for cookie banners
+function parseConsentOption(query) {
+  const consent = query.consent || "accept";
+  if (!["accept", "reject", "remove"].includes(consent)) {
+    return {
+      error: "Invalid consent parameter. Must be accept, reject or remove",
+    };
+  }
+  return { options: consent };
+}
+
+// Parse viewport, device and media parameters shared by render endpoints
+function parsePageOptions(query, targetUrl) {
+  const device = query.device
+    ? deviceProfiles.get(normalizeDeviceName(query.device))
+    : null;
+  if (query.device && !device) {
+    return {
+      error: `Unknown device: ${query.device}. See /devices for supported devices`,
+    };
+  }
+
+  const { error, options: media } = parseMediaOptions(query);
+  if (error) {
+    return { error };
+  }
+
+  const { error: waitError, options: wait } = parseWaitOptions(query);
+  if (waitError) {
+    return { error: waitError };
+  }
+
+  const { error: consentError, options: consent } = parseConsentOption(query);
+  if (consentError) {
+    return { error: consentError };
+  }
+
+  // Site rules can set a default viewport for the target's domain
+  const siteViewport = targetUrl
+    ? siteRules.match(String(targetUrl)).viewport || {}
+    : {};
+
+  return {
+    options: {
+      width: parseInt(query.width) || siteViewport.width || 1920,
+      height: parseInt(query.height) || siteViewport.height || 1080,
+      device,
+      media,
+      wait,
+      consent,
+    },
+  };
+}
+
+// Cache key fragment for page options
+function pageOptionsKey(pageOptions) {
+  return [
+    pageOptions.device ? pageOptions.device.name : "",
+    pageOptions.width,
+    pageOptions.height,
+    JSON.stringify(pageOptions.media),
+    waitPlanKey(pageOptions.wait),
+    pageOptions.consent,
+    // Rule edits change how pages load, so they invalidate cached renders
+    siteRules.version,
+  ].join("_");
+}
+
+// Request headers sent with every page load
+const DEFAULT_HEADERS = {
+  Accept:
+    "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9,th;q=0.8",
+  "Accept-Encoding": "gzip, deflate, br",
+  DNT: "1",
+  Connection: "keep-alive",
+  "Upgrade-Insecure-Requests": "1",
+};
+
+// Set viewport, user agent and headers before navigation
+async function preparePage(page, url, options = {}) {
+  const device = options.device;
+  const siteRule = siteRules.match(url);
+  const siteViewport = siteRule.viewport || {};
+
+  if (device) {
+    // Device profiles set viewport, touch, mobile mode and user agent together
+    await page.emulate({
+      userAgent: device.userAgent,
+      viewport: {
+        ...device.viewport,
+        deviceScaleFactor: fitScaleToPixelLimit(
+          device.viewport,
+          options.deviceScaleFactor || device.viewport.deviceScaleFactor
+        ),
+      },
+    });
+  } else {
+    // Set viewport
+    const width = options.width || 1920;
+    const height = options.height || 1080;
+    await page.setViewport({
+      width,
+      height,
+      deviceScaleFactor: fitScaleToPixelLimit(
+        { width, height },
+        options.deviceScaleFactor || siteViewport.deviceScaleFactor || 1
+      ),
+    });
+
+    // Set user agent
+    await page.setUserAgent(DEFAULT_USER_AGENT);
+  }
+
+  // Emulate media before navigation so the first paint already matches
+  const media = options.media || {};
+  const mediaFeatures = [];
+  if (media.colorScheme) {
+    mediaFeatures.push({
+      name: "prefers-color-scheme",
+      value: media.colorScheme,
+    });
+  }
+  if (media.reducedMotion) {
+    mediaFeatures.push({
+      name: "prefers-reduced-motion",
+      value: media.reducedMotion,
+    });
+  }
+  if (mediaFeatures.length > 0) {
+    await page.emulateMediaFeatures(mediaFeatures);
+  }
+  if (media.mediaType) {
+    await page.emulateMediaType(media.mediaType);
+  }
+
+  // Set headers
+  await page.setExtraHTTPHeaders(DEFAULT_HEADERS);
+
+  // Site rules add headers, cookies and geolocation for their domain
+  if (siteRule.headers && Object.keys(siteRule.headers).length > 0) {
+    await page.setExtraHTTPHeaders({
+      ...DEFAULT_HEADERS,
+      ...siteRule.headers,
+    });
+  }
+  if (siteRule.cookies) {
+    await page.setCookie(
+      ...siteRule.cookies.map((cookie) => ({ url, ...cookie }))
+    );
+  }
+  if (siteRule.geolocation) {
+    await page.setGeolocation(siteRule.geolocation);
+  }
+}
+
+// Apply the interactive parts of a site rule once the page has loaded; the
+// delay and scroll wait are capped by the siteSpecific stage timeout
+async function applySiteRule(page, siteRule, delayLimit) {
+  if (siteRule.hide && siteRule.hide.length > 0) {
+    // Inline styles also work on pages whose CSP blocks injected stylesheets
+    await page
+      .evaluate((selectors) => {
+        for (const selector of selectors) {
+          document.querySelectorAll(selector).forEach((el) => {
+            el.style.setProperty("display", "none", "important");
+          });
+        }
+      }, siteRule.hide)
+      .catch((error) => console.log("Hiding elements failed:", error.message));
+  }
+
+  for (const selector of siteRule.click || []) {
+    try {
+      const element = await page.$(selector);
+      if (element) {
+        await element.click();
+        await element.dispose();
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+    } catch (error) {
+      console.log(`Clicking ${selector} failed:`, error.message);
+    }
+  }
+
+  if (siteRule.delay > 0) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(siteRule.delay, delayLimit))
+    );
+  }
+
+  // Scroll after the delay to trigger lazy loading the rule's content needs
+  if (siteRule.scroll) {
+    await page
+      .evaluate(
+        ({ y, wait }) => {
+          window.scrollTo(0, y);
+          return new Promise((resolve) => setTimeout(resolve, wait));
+        },
+        {
+          y: siteRule.scroll.y,
+          wait: Math.min(siteRule.scroll.wait || 0, delayLimit),
+        }
+      )
+      .catch((error) => console.log("Site scroll failed:", error.message));
+  }
+}
+
+// Navigate to URL and wait until dynamic content has finished loading;
+// resolves with the navigation response and per-stage timings
+async function loadPage(
+  page,
+  url,
+  {
+    wait: waitPlan = resolveWaitPlan(CONFIG.DEFAULT_WAIT_STRATEGY),
+    consent = "accept",
+    signal = null,
+  } = {}
+) {
+  // Validate URL
+  new URL(url);
+
+  const timer = createStageTimer();
+  const runs = (stage) =>
+    waitPlan.stages[stage] !== undefined && !(signal && signal.aborted);
+  const siteRule = siteRules.match(url);
+
+  // Track requests from the start so network idle sees the whole load
+  const networkTracker = startNetworkTracker(page);
+  let response;
+
+  try {
+    // Navigate to page with longer timeout
+    console.log(`Navigating to ${url}...`);
+    timer.start("navigation");
+    response = await page.goto(url, {
+      waitUntil: "domcontentloaded",
+      timeout: CONFIG.PAGE_LOAD_TIMEOUT,
+    });
+
+    if (!response || !response.ok()) {
+      throw new Error(`Page load failed with status: ${response?.status()}`);
+    }
+
+    timer.finish();
+
+    // Wait for comprehensive page load with dynamic content
+    timer.stages.push(
+      ...(await waitForPageLoad(page, waitPlan, {
+        networkTracker,
+        siteRule,
+        consent,
+        signal,
+      }))
+    );
+  } finally {
+    networkTracker.stop();
+  }
+
+  // Site rules hide overlays, click through prompts and add extra delays
+  if (runs("siteSpecific") && Object.keys(siteRule).length > 0) {
+    timer.start("siteSpecific");
+    await applySiteRule(page, siteRule, waitPlan.stages.siteSpecific);
+    timer.finish();
+  }
+
+  // Additional wait for any remaining dynamic content
+  if (runs("finalWait")) {
+    console.log("Final wait for any remaining dynamic content...");
+    timer.start("finalWait");
+    await new Promise((resolve) =>
+      setTimeout(resolve, waitPlan.stages.finalWait)
+    );
+    timer.finish();
+  }
+
+  return { response, stages: timer.stages };
+}
+
+// Supported screenshot output formats
+const IMAGE_FORMATS = {
+  png: { contentType: "image/png", native: true },
+  jpeg: {
+    contentType: "image/jpeg",
+    native: true,
+    defaultQuality: 90,
+  },
+  webp: {
+    contentType: "image/webp",
+    native: true,
+    defaultQuality: 80,
+    lossless: true,
+  },
+  avif: {
+    contentType: "image/avif",
+    native: false, // Chrome cannot encode AVIF, so it is converted with sharp
+    defaultQuality: 50,
+    lossless: true,
+  },
+};
+
+// Validate image format, quality and lossless parameters
+function parseImageOptions(query) {
+  let type = (query.type || "png").toLowerCase();
+  if (type === "jpg") {
+    type = "jpeg";
+  }
+
+  const format = IMAGE_FORMATS[type];
+  if (!format) {
+    return {
+      error: `Invalid type parameter. Supported types: ${Object.keys(
+        IMAGE_FORMATS
+      ).join(", ")}, jpg`,
+    };
+  }
+
+  // PNG is always lossless, so asking for it changes nothing
+  const lossless = query.lossless === "true" && type !== "png";
+  if (lossless && !format.lossless) {
+    return { error: `Lossless mode is not supported for ${type}` };
+  }
+
+  let quality;
+  if (format.defaultQuality && !lossless) {
+    quality = query.quality ? parseInt(query.quality) : format.defaultQuality;
+    if (isNaN(quality) || quality < 1 || quality > 100) {
+      return { error: "Invalid quality parameter. Must be between 1 and 100" };
+    }
+  }
+
+  return {
+    options: { type, contentType: format.contentType, quality, lossless },
+  };
+}
+
+// Capture a page or element and encode it in the requested format
+async function captureImage(target, imageOptions, screenshotOptions = {}) {
+  const { type, quality, lossless } = imageOptions;
+
+  // Chrome encodes PNG, JPEG and lossy WebP directly
+  if (IMAGE_FORMATS[type].native && !lossless) {
+    return Buffer.from(
+      await target.screenshot({ ...screenshotOptions, type, quality })
+    );
+  }
+
+  // Everything else is captured losslessly and re-encoded
+  const png = await target.screenshot({ ...screenshotOptions, type: "png" });
+  return encodeImage(sharp(Buffer.from(png)), imageOptions);
+}
+
+// Encode a sharp image in the requested output format
+function encodeImage(image, imageOptions) {
+  const { type, quality, lossless } = imageOptions;
+  const encoderOptions = lossless ? { lossless: true } : { quality };
+
+  switch (type) {
+    case "jpeg":
+      return image.jpeg({ quality }).toBuffer();
+    case "webp":
+      return image.webp(encoderOptions).toBuffer();
+    case "avif":
+      return image.avif(encoderOptions).toBuffer();
+    default:
+      return image.png().toBuffer();
+  }
+}
+
+// Turn the browser's selector syntax errors into INVALID_SELECTOR
+function toSelectorError(error, selector) {
+  if (!/not a valid selector|invalid selector/i.test(error.message)) {
+    return error;
+  }
+  const selectorError = new Error(`Invalid selector: ${selector}`);
+  selectorError.code = "INVALID_SELECTOR";
+  return selectorError;
+}
+
+// Wait for a visible element, failing with ELEMENT_NOT_FOUND when it never appears
+async function waitForElement(page, selector) {
+  let element = null;
+  try {
+    element = await page.waitForSelector(selector, {
+      visible: true,
+      timeout: CONFIG.SELECTOR_TIMEOUT,
+    });
+  } catch (error) {
+    if (error.name !== "TimeoutError") {
+      throw toSelectorError(error, selector);
+    }
+  }
+
+  if (!element) {
+    const error = new Error(`No visible element matches selector: ${selector}`);
+    error.code = "ELEMENT_NOT_FOUND";
+    throw error;
+  }
+
+  return element;
+}
+
+// Capture a single element with optional padding; releases the handle
+async function captureElement(element, padding, imageOptions) {
+  try {
+    const screenshotOptions = {};
+
+    if (padding > 0) {
+      // Clip is relative to the element; keep padding inside the document
+      const box = await element.evaluate((el) => {
+        const rect = el.getBoundingClientRect();
+        return {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height,
+        };
+      });
+      const left = Math.min(padding, box.x);
+      const top = Math.min(padding, box.y);
+
+      screenshotOptions.clip = {
+        x: -left,
+        y: -top,
+        width: box.width + left + padding,
+        height: box.height + top + padding,
+      };
+    }
+
+    return await captureImage(element, imageOptions, screenshotOptions);
+  } finally {
+    await element.dispose();
+  }
+}
+
+// Validate clip rectangle and scroll target parameters
+function parseCaptureRegion(query) {
+  let clip = null;
+  if (query.clip) {
+    const values = query.clip.split(",").map((v) => Number(v.trim()));
+    if (
+      values.length !== 4 ||
+      values.some((v) => isNaN(v) || v < 0) ||
+      values[2] === 0 ||
+      values[3] === 0
+    ) {
+      return {
+        error:
+          "Invalid clip parameter. Use x,y,width,height with non-negative numbers",
+      };
+    }
+    const [x, y, width, height] = values;
+    clip = { x, y, width, height };
+  }
+
+  // scrollTo is either a vertical offset in pixels or a CSS selector
+  let scrollTo = null;
+  if (query.scrollTo) {
+    scrollTo = /^\d+$/.test(query.scrollTo)
+      ? parseInt(query.scrollTo)
+      : query.scrollTo;
+  }
+
+  if (query.selector && (clip || scrollTo !== null)) {
+    return { error: "selector cannot be combined with clip or scrollTo" };
+  }
+
+  return { clip, scrollTo };
+}
+
+// Scroll to a vertical offset or element and return the new scroll position
+async function scrollToTarget(page, target) {
+  if (typeof target === "number") {
+    await page.evaluate((y) => window.scrollTo(0, y), target);
+  } else {
+    const element = await waitForElement(page, target);
+    try {
+      await element.evaluate((el) => el.scrollIntoView({ block: "start" }));
+    } finally {
+      await element.dispose();
+    }
+  }
+
+  // Give scroll-triggered content and sticky headers time to settle
+  await new Promise((resolve) => setTimeout(resolve, 500));
+
+  return page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+}
+
+// Largest device scale factor, at most scale and at least 1, at which an
+// area of CSS pixels stays within MAX_OUTPUT_PIXELS. Applied to the viewport
+// before loading, since changing it later re-lays out the settled page.
+function fitScaleToPixelLimit(size, scale) {
+  const basePixels = Math.max(size.width * size.height, 1);
+  if (scale <= 1 || basePixels * scale * scale <= CONFIG.MAX_OUTPUT_PIXELS) {
+    return scale;
+  }
+
+  const allowedScale = Math.max(
+    Math.floor(Math.sqrt(CONFIG.MAX_OUTPUT_PIXELS / basePixels) * 100) / 100,
+    1
+  );
+  console.log(
+    `Reducing device scale factor from ${scale} to ${allowedScale} to stay within pixel limit`
+  );
+  return allowedScale;
+}
+
+// Measure the capture area in CSS pixels
+async function measureCapture(page, { fullPage, clip, element, padding }) {
+  if (clip) {
+    return { width: clip.width, height: clip.height };
+  }
+
+  if (element) {
+    const box = (await element.boundingBox()) || { width: 0, height: 0 };
+    return {
+      width: box.width + padding * 2,
+      height: box.height + padding * 2,
+    };
+  }
+
+  if (fullPage) {
+    return page.evaluate(() => ({
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+    }));
+  }
+
+  const { width, height } = page.viewport();
+  return { width, height };
+}
+
+// Refuse captures whose output would exceed MAX_OUTPUT_PIXELS at the
+// page's device scale factor, including tall full-page captures at scale 1
+function enforcePixelLimit(page, size) {
+  const scale = page.viewport().deviceScaleFactor || 1;
+  if (size.width * size.height * scale * scale <= CONFIG.MAX_OUTPUT_PIXELS) {
+    return;
+  }
+
+  const error = new Error(
+    `Output of ${Math.round(size.width * scale)}x${Math.round(
+      size.height * scale
+    )} pixels exceeds the limit of ${
+      CONFIG.MAX_OUTPUT_PIXELS
+    } pixels; lower scale or capture a smaller area`
+  );
+  error.code = "CAPTURE_TOO_LARGE";
+  throw error;
+}
+
+// Parse responsive targets: widths in pixels and/or device preset names
+function parseResponsiveTargets(query) {
+  const height = parseInt(query.height) || 1080;
+  const entries = [query.widths, query.devices]
+    .filter(Boolean)
+    .join(",")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    entries.push("375", "768", "1280", "1920");
+  }
+
+  if (entries.length > CONFIG.MAX_RESPONSIVE_TARGETS) {
+    return {
+      error: `Too many targets. Maximum is ${CONFIG.MAX_RESPONSIVE_TARGETS}`,
+    };
+  }
+
+  const targets = [];
+  for (const entry of entries) {
+    if (/^\d+$/.test(entry)) {
+      const width = parseInt(entry);
+      if (width < 200 || width > 3840) {
+        return {
+          error: `Invalid width ${entry}. Must be between 200 and 3840`,
+        };
+      }
+      targets.push({ label: `${width}px`, width, height });
+      continue;
+    }
+
+    const device = deviceProfiles.get(normalizeDeviceName(entry));
+    if (!device) {
+      return {
+        error: `Unknown device: ${entry}. See /devices for supported devices`,
+      };
+    }
+    targets.push({
+      label: `${device.name} (${device.viewport.width}x${device.viewport.height})`,
+      device,
+    });
+  }
+
+  return { targets };
+}
+
+// Escape text for use inside SVG markup
+function escapeXml(text) {
+  return String(text).replace(
+    /[<>&"']/g,
+    (char) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[
+        char
+      ])
+  );
+}
+
+// Stitch captures side by side with a label above each one
+async function composeContactSheet(shots, imageOptions) {
+  const gap = 24;
+  const labelHeight = 36;
+
+  const sizes = await Promise.all(
+    shots.map((shot) => sharp(shot.buffer).metadata())
+  );
+  const width =
+    sizes.reduce((total, size) => total + size.width, 0) +
+    gap * (shots.length + 1);
+  const height =
+    Math.max(...sizes.map((size) => size.height)) + labelHeight + gap * 2;
+
+  if (width * height > CONFIG.MAX_OUTPUT_PIXELS) {
+    const error = new Error(
+      `Contact sheet of ${width}x${height} pixels exceeds the limit of ${CONFIG.MAX_OUTPUT_PIXELS} pixels`
+    );
+    error.code = "OUTPUT_TOO_LARGE";
+    throw error;
+  }
+
+  const composites = [];
+  let left = gap;
+  shots.forEach((shot, index) => {
+    const size = sizes[index];
+    const label = Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${labelHeight}">` +
+        `<text x="0" y="24" font-family="sans-serif" font-size="18" font-weight="bold" fill="#111827">${escapeXml(
+          shot.label
+        )}</text></svg>`
+    );
+    composites.push({ input: label, left, top: gap });
+    composites.push({ input: shot.buffer, left, top: gap + labelHeight });
+    left += size.width + gap;
+  });
+
+  const sheet = sharp({
+    create: { width, height, channels: 3, background: "#f3f4f6" },
+  }).composite(composites);
+
+  return encodeImage(sheet, imageOptions);
+}
+
+// Overrides that force lossless PNG captures for pixel comparisons
+const PNG_CAPTURE = { type: "png", quality: undefined, lossless: undefined };
+
+// Validate all capture parameters accepted by /screenshot
+function parseScreenshotOptions(query) {
+  const { error, options: imageOptions } = parseImageOptions(query);
+  if (error) {
+    return { error };
+  }
+
+  const selector = query.selector;
+  const padding = query.padding ? parseInt(query.padding) : 0;
+  if (isNaN(padding) || padding < 0 || padding > 500) {
+    return { error: "Invalid padding parameter. Must be between 0 and 500" };
+  }
+
+  const region = parseCaptureRegion(query);
+  if (region.error) {
+    return { error: region.error };
+  }
+  const { clip, scrollTo } = region;
+
+  // Without an explicit scale, devices use their own pixel ratio
+  const scale = query.scale ? parseFloat(query.scale) : null;
+  if (
+    scale !== null &&
+    (isNaN(scale) || scale < 1 || scale > CONFIG.MAX_SCALE_FACTOR)
+  ) {
+    return {
+      error: `Invalid scale parameter. Must be between 1 and ${CONFIG.MAX_SCALE_FACTOR}`,
+    };
+  }
+
+  // Clipped and scrolled captures are always viewport based
+  const fullPage =
+    query.fullPage !== "false" && !clip && scrollTo === null;
+
+  return {
+    options: {
+      imageOptions,
+      selector,
+      padding,
+      clip,
+      scrollTo,
+      scale,
+      fullPage,
+    },
+  };
+}
+
+// Cache key fragment for screenshot options
+function screenshotOptionsKey(options) {
+  const { imageOptions, clip, scrollTo } = options;
+  return [
+    options.fullPage,
+    imageOptions.type,
+    imageOptions.quality,
+    imageOptions.lossless,
+    options.selector,
+    options.padding,
+    clip ? Object.values(clip).join(",") : "",
+    scrollTo === null ? "" : scrollTo,
+    options.scale || "",
+  ].join("_");
+}
+
+// Capture a loaded page according to screenshot options
+async function takeScreenshot(page, options) {
+  const { imageOptions, selector, padding, clip, scrollTo, fullPage } = options;
+
+  // Scroll before capturing; clip coordinates are relative to the viewport,
+  // which site rules or the load pipeline may also have left scrolled
+  const scrollPosition =
+    scrollTo !== null
+      ? await scrollToTarget(page, scrollTo)
+      : await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+
+  const screenshotOptions = { fullPage };
+  if (clip) {
+    screenshotOptions.clip = {
+      ...clip,
+      x: clip.x + scrollPosition.x,
+      y: clip.y + scrollPosition.y,
+    };
+  }
+
+  // Guard against oversized captures, measuring elements once they appear
+  const element = selector ? await waitForElement(page, selector) : null;
+  try {
+    const captureSize = await measureCapture(page, {
+      fullPage,
+      clip,
+      element,
+      padding,
+    });
+    enforcePixelLimit(page, captureSize);
+  } catch (error) {
+    if (element) {
+      await element.dispose();
+    }
+    throw error;
+  }
+
+  // Take screenshot of a single element or the page
+  return element
+    ? captureElement(element, padding, imageOptions)
+    : captureImage(page, imageOptions, screenshotOptions);
+}
+
+// Collect console errors, uncaught exceptions and failed requests of a page
+function startPageErrorCollector(page) {
+  const entries = [];
+  const counts = { console: 0, pageerror: 0, requestfailed: 0, http: 0 };
+
+  const add = (type, details) => {
+    counts[type]++;
+    if (entries.length < CONFIG.MAX_PAGE_ERRORS) {
+      entries.push({ type, ...details });
+    }
+  };
+  const trim = (text) => String(text).slice(0, 300);
+
+  page.on("console", (message) => {
+    if (message.type() === "error" || message.type() === "warn") {
+      add("console", {
+        level: message.type(),
+        message: trim(message.text()),
+      });
+    }
+  });
+
+  page.on("pageerror", (error) => {
+    add("pageerror", { message: trim(error.message || error) });
+  });
+
+  page.on("requestfailed", (request) => {
+    const failure = request.failure();
+    add("requestfailed", {
+      url: trim(request.url()),
+      message: failure ? failure.errorText : "Request failed",
+    });
+  });
+
+  page.on("response", (response) => {
+    if (response.status() >= 400) {
+      add("http", { url: trim(response.url()), status: response.status() });
+    }
+  });
+
+  return {
+    summary() {
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      return { total, counts, entries: [...entries] };
+    },
+  };
+}
+
+// Encode a page error summary for the X-Page-Errors header
+function formatPageErrorsHeader(summary) {
+  const entries = [...summary.entries];
+
+  // Header values must be latin1; escape everything else as JSON unicode
+  const encode = () =>
+    JSON.stringify({
+      counts: summary.counts,
+      entries,
+      truncated: entries.length < summary.total || undefined,
+    }).replace(
+      /[\u007f-\uffff]/g,
+      (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+
+  let value = encode();
+  while (value.length > CONFIG.MAX_PAGE_ERRORS_HEADER && entries.length) {
+    entries.pop();
+    value = encode();
+  }
+  return value;
+}
+
+// Reject a capture whose page threw uncaught exceptions
+function sendPageErrorFailure(res, pageErrors) {
+  res.set("Cache-Control", "no-store");
+  res.status(502).json({
+    error: "Page threw uncaught exceptions while rendering",
+    pageErrors,
+  });
+}
+
+// Send error response for a failed render
+function sendRenderError(res, error, action) {
+  if (res.headersSent) {
+    return;
+  }
+
+  if (error.code === "ERR_INVALID_URL") {
+    res.status(400).json({ error: "Invalid URL provided" });
+  } else if (
+    error.code === "INVALID_SELECTOR" ||
+    error.code === "CAPTURE_TOO_LARGE"
+  ) {
+    res.status(400).json({ error: error.message });
+  } else if (
+    error.code === "ELEMENT_NOT_FOUND" ||
+    error.code === "BASELINE_NOT_FOUND"
+  ) {
+    res.status(404).json({ error: error.message });
+  } else if (error.code === "BASELINE_CONFLICT") {
+    res.status(409).json({ error: error.message });
+  } else if (error.code === "OUTPUT_TOO_LARGE") {
+    res.status(413).json({ error: error.message });
+  } else if (error.code === "WAIT_CONDITION_FAILED") {
+    res.status(408).json({ error: error.message });
+  } else if (error.name === "TimeoutError") {
+    res
+      .status(408)
+      .json({ error: "Request timeout - page took too long to load" });
+  } else {
+    res.status(500).json({
+      error: `Internal server error while ${action}`,
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+// Run a render job with a pooled browser page inside the request queue
+async function processRenderRequest(res, options, render) {
+  const { url, label, action } = options;
+
+  try {
+    await requestQueue.addRequest(async () => {
+      let browser = null;
+      let page = null;
+
+      try {
+        // Acquire browser from pool
+        browser = await browserPool.acquireBrowser();
+
+        // Create new page
+        page = await browser.newPage();
+
+        await render(page);
+      } catch (error) {
+        console.error(`${label} error for ${url}:`, error);
+        sendRenderError(res, error, action);
+      } finally {
+        // Clean up resources
+        if (page) {
+          try {
+            await page.close();
+          } catch (error) {
+            console.error("Error closing page:", error.message);
+          }
+        }
+
+        if (browser) {
+          browserPool.releaseBrowser(browser);
+        }
+
+        // Schedule cleanup
+        cancelCleanup();
+        scheduleCleanup();
+      }
+    });
+  } catch (error) {
+    console.error("Request queue error:", error);
+    res.status(503).json({ error: "Service temporarily unavailable" });
+  }
+}
+
+// Parse page-specific wait conditions checked after the load pipeline
+function parseWaitConditions(query) {
+  const conditions = [];
+  if (query.waitForSelector) {
+    conditions.push({ type: "selector", value: query.waitForSelector });
+  }
+  if (query.waitForText) {
+    conditions.push({ type: "text", value: query.waitForText });
+  }
+  if (query.waitForHidden) {
+    conditions.push({ type: "hidden", value: query.waitForHidden });
+  }
+  if (query.waitForFunction) {
+    conditions.push({ type: "function", value: query.waitForFunction });
+  }
+
+  const timeout = query.waitTimeout
+    ? parseInt(query.waitTimeout)
+    : CONFIG.SELECTOR_TIMEOUT;
+  // A timeout of 0 would make Puppeteer wait forever
+  if (isNaN(timeout) || timeout < 1 || timeout > CONFIG.PAGE_LOAD_TIMEOUT) {
+    return {
+      error: `Invalid waitTimeout parameter. Must be between 1 and ${CONFIG.PAGE_LOAD_TIMEOUT}`,
+    };
+  }
+
+  return {
+    options: {
+      conditions,
+      timeout,
+      required: query.failOnWaitTimeout === "true",
+    },
+  };
+}
+
+// Cache key fragment for wait conditions
+function waitConditionsKey(options) {
+  return options.conditions.length > 0
+    ? JSON.stringify([options.conditions, options.timeout, options.required])
+    : "";
+}
+
+// Wait for all conditions in parallel, sharing one timeout
+async function waitForConditions(page, { conditions, timeout, required }) {
+  const waiters = {
+    selector: (selector) =>
+      page.waitForSelector(selector, { visible: true, timeout }),
+    hidden: (selector) =>
+      page.waitForSelector(selector, { hidden: true, timeout }),
+    text: (text) =>
+      page.waitForFunction(
+        (text) => document.body && document.body.innerText.includes(text),
+        { timeout },
+        text
+      ),
+    function: (expression) => page.waitForFunction(expression, { timeout }),
+  };
+
+  const results = await Promise.all(
+    conditions.map(async ({ type, value }) => {
+      const started = Date.now();
+      try {
+        await waiters[type](value);
+        return { type, value, met: true, duration: Date.now() - started };
+      } catch (error) {
+        return {
+          type,
+          value,
+          met: false,
+          duration: Date.now() - started,
+          error: error.name === "TimeoutError" ? "Timed out" : error.message,
+        };
+      }
+    })
+  );
+
+  const unmet = results.filter((result) => !result.met);
+  if (unmet.length > 0) {
+    const summary = unmet
+      .map((result) => `${result.type} "${result.value}" (${result.error})`)
+      .join(", ");
+    if (required) {
+      const error = new Error(`Wait conditions not met: ${summary}`);
+      error.code = "WAIT_CONDITION_FAILED";
+      throw error;
+    }
+    console.log(`Wait conditions not met but proceeding: ${summary}`);
+  }
+
+  return results;
+}
+
+// Send a captured screenshot as an image or as JSON with page details
+async function sendScreenshot(res, result, { cacheStatus, asJson }) {
+  const { buffer, contentType, pageErrors } = result;
+
+  if (pageErrors.total > 0) {
+    res.set("X-Page-Errors", formatPageErrorsHeader(pageErrors));
+  }
+  res.set("X-Load-Stages", formatStagesHeader(result.details.stages));
+  res.set("Cache-Control", "public, max-age=3600");
+  res.set("X-Cache", cacheStatus);
+
+  if (!asJson) {
+    res.set("Content-Type", contentType);
+    return res.send(buffer);
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+
+  res.json({
+    image: buffer.toString("base64"),
+    contentType,
+    width,
+    height,
+    size: buffer.length,
+    ...result.details,
+    pageErrors,
+    cache: cacheStatus,
+  });
+}
+
+// Screenshot endpoint with optimizations
+app.get("/screenshot", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  // Baseline comparisons need lossless captures
+  const { error, options: screenshotOptions } = parseScreenshotOptions(
+    req.query.baseline ? { ...req.query, ...PNG_CAPTURE } : req.query
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let baseline = null;
+  if (req.query.baseline) {
+    const result = parseBaselineOptions(req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    baseline = result.options;
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  // Reject blank captures caused by uncaught exceptions when asked to
+  const failOnPageError = req.query.failOnPageError === "true";
+
+  const responseMode = req.query.response || "image";
+  if (!["image", "json"].includes(responseMode)) {
+    return res
+      .status(400)
+      .json({ error: "Invalid response parameter. Must be image or json" });
+  }
+  const asJson = responseMode === "json";
+
+  const { error: waitError, options: waitConditions } = parseWaitConditions(
+    req.query
+  );
+  if (waitError) {
+    return res.status(400).json({ error: waitError });
+  }
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    url,
+    screenshotOptionsKey(screenshotOptions),
+    pageOptionsKey(pageOptions),
+    waitConditionsKey(waitConditions)
+  );
+
+  // Check cache first; baseline comparisons always capture a fresh image
+  const cachedResult = baseline ? null : cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached screenshot for ${url}`);
+    if (failOnPageError && cachedResult.pageErrors.counts.pageerror > 0) {
+      return sendPageErrorFailure(res, cachedResult.pageErrors);
+    }
+    return sendScreenshot(res, cachedResult, { cacheStatus: "HIT", asJson });
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "Screenshot", action: "taking screenshot" },
+    async (page) => {
+      await preparePage(page, url, {
+        ...pageOptions,
+        deviceScaleFactor: screenshotOptions.scale,
+      });
+
+      const errorCollector = startPageErrorCollector(page);
+
+      const loadStarted = Date.now();
+      const { response, stages } = await loadPage(page, url, pageOptions);
+
+      // Page-specific conditions run after the generic pipeline
+      let conditions = [];
+      if (waitConditions.conditions.length > 0) {
+        const waitStarted = Date.now();
+        conditions = await waitForConditions(page, waitConditions);
+        stages.push({
+          name: "waitConditions",
+          duration: Date.now() - waitStarted,
+          failed: conditions.some((condition) => !condition.met) || undefined,
+        });
+      }
+      const loadTime = Date.now() - loadStarted;
+
+      const buffer = await takeScreenshot(page, screenshotOptions);
+      const pageErrors = errorCollector.summary();
+
+      if (baseline) {
+        const comparison = await compareWithBaseline(buffer, baseline);
+        res.set("Cache-Control", "no-store");
+        res.json({ url, ...comparison, pageErrors });
+
+        console.log(
+          `Baseline ${baseline.name} ${
+            comparison.passed ? "passed" : "failed"
+          } for ${url}: ${comparison.mismatchPercentage}% changed`
+        );
+        return;
+      }
+
+      // Cache the result together with the page details for JSON responses
+      const result = {
+        buffer,
+        contentType: screenshotOptions.imageOptions.contentType,
+        pageErrors,
+        details: {
+          finalUrl: page.url(),
+          status: response.status(),
+          title: await page.title(),
+          loadTime,
+          wait: pageOptions.wait.name,
+          stages,
+          conditions,
+        },
+      };
+      cache.set(cacheKey, result);
+
+      if (failOnPageError && pageErrors.counts.pageerror > 0) {
+        sendPageErrorFailure(res, pageErrors);
+        console.log(`Screenshot rejected for ${url}: uncaught page errors`);
+        return;
+      }
+
+      await sendScreenshot(res, result, { cacheStatus: "MISS", asJson });
+
+      const duration = Date.now() - startTime;
+      console.log(`Screenshot completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Responsive contact sheet: one URL at several viewports in one image
+app.get("/screenshot/responsive", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const { error, options: imageOptions } = parseImageOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const parsed = parseResponsiveTargets(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { targets } = parsed;
+
+  const { error: mediaError, options: media } = parseMediaOptions(req.query);
+  if (mediaError) {
+    return res.status(400).json({ error: mediaError });
+  }
+
+  const { error: waitError, options: waitPlan } = parseWaitOptions(req.query);
+  if (waitError) {
+    return res.status(400).json({ error: waitError });
+  }
+
+  const { error: consentError, options: consent } = parseConsentOption(
+    req.query
+  );
+  if (consentError) {
+    return res.status(400).json({ error: consentError });
+  }
+
+  // Contact sheets default to the first viewport of each target
+  const fullPage = req.query.fullPage === "true";
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    "responsive",
+    url,
+    targets.map((target) => target.label).join("|"),
+    req.query.height || 1080,
+    fullPage,
+    imageOptions.type,
+    imageOptions.quality,
+    imageOptions.lossless,
+    JSON.stringify(media),
+    waitPlanKey(waitPlan),
+    consent,
+    siteRules.version
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached contact sheet for ${url}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "Responsive screenshot", action: "taking screenshots" },
+    async (page) => {
+      const shots = [];
+      let currentUserAgent = null;
+
+      for (const target of targets) {
+        const userAgent = target.device
+          ? target.device.userAgent
+          : DEFAULT_USER_AGENT;
+
+        // Captures share one scale so widths stay comparable on the sheet
+        await preparePage(page, url, {
+          width: target.width,
+          height: target.height,
+          device: target.device,
+          deviceScaleFactor: 1,
+          media,
+        });
+
+        // Resize in place; navigate again only when the user agent changes
+        if (userAgent !== currentUserAgent) {
+          await loadPage(page, url, { wait: waitPlan, consent });
+          currentUserAgent = userAgent;
+        } else {
+          console.log(`Resizing to ${target.label}...`);
+          await waitForContentStability(page, 3000);
+        }
+
+        const buffer = await captureImage(page, { type: "png" }, { fullPage });
+        shots.push({ label: target.label, buffer });
+      }
+
+      const buffer = await composeContactSheet(shots, imageOptions);
+
+      // Cache the result
+      const contentType = imageOptions.contentType;
+      cache.set(cacheKey, { buffer, contentType });
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("X-Cache", "MISS");
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(`Contact sheet completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Supported PDF paper formats
+const PDF_FORMATS = [
+  "letter",
+  "legal",
+  "tabloid",
+  "ledger",
+  "a0",
+  "a1",
+  "a2",
+  "a3",
+  "a4",
+  "a5",
+  "a6",
+];
+
+// Build page.pdf() options from query parameters
+function parsePdfOptions(query) {
+  const format = (query.format || "a4").toLowerCase();
+  if (!PDF_FORMATS.includes(format)) {
+    return {
+      error: `Invalid format parameter. Supported formats: ${PDF_FORMATS.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const scale = query.scale ? parseFloat(query.scale) : 1;
+  if (isNaN(scale) || scale < 0.1 || scale > 2) {
+    return { error: "Invalid scale parameter. Must be between 0.1 and 2" };
+  }
+
+  // Margin accepts one value for all sides or top,right,bottom,left
+  const marginValues = (query.margin || "0").split(",").map((v) => v.trim());
+  if (marginValues.length !== 1 && marginValues.length !== 4) {
+    return {
+      error:
+        "Invalid margin parameter. Use one value or top,right,bottom,left",
+    };
+  }
+  const [top, right = top, bottom = top, left = top] = marginValues.map((v) =>
+    /^\d+(\.\d+)?$/.test(v) ? `${v}px` : v
+  );
+
+  const pdfOptions = {
+    format,
+    landscape:
+      query.landscape === "true" || query.orientation === "landscape",
+    scale,
+    printBackground: query.printBackground !== "false",
+    margin: {
+      top: query.marginTop || top,
+      right: query.marginRight || right,
+      bottom: query.marginBottom || bottom,
+      left: query.marginLeft || left,
+    },
+    timeout: CONFIG.PAGE_LOAD_TIMEOUT,
+  };
+
+  if (query.pageRanges) {
+    pdfOptions.pageRanges = query.pageRanges;
+  }
+
+  // Header and footer are only rendered when at least one template is given
+  if (query.headerTemplate || query.footerTemplate) {
+    pdfOptions.displayHeaderFooter = true;
+    pdfOptions.headerTemplate = query.headerTemplate || "<span></span>";
+    pdfOptions.footerTemplate = query.footerTemplate || "<span></span>";
+  }
+
+  return { options: pdfOptions };
+}
+
+// PDF endpoint sharing the screenshot pipeline
+app.get("/pdf", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const { error, options: pdfOptions } = parsePdfOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    "pdf",
+    url,
+    JSON.stringify(pdfOptions),
+    pageOptionsKey(pageOptions)
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached PDF for ${url}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "PDF", action: "generating PDF" },
+    async (page) => {
+      await preparePage(page, url, pageOptions);
+
+      await loadPage(page, url, pageOptions);
+
+      // Generate PDF
+      const buffer = Buffer.from(await page.pdf(pdfOptions));
+
+      // Cache the result
+      const contentType = "application/pdf";
+      cache.set(cacheKey, { buffer, contentType });
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Content-Disposition", 'inline; filename="page.pdf"');
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("X-Cache", "MISS");
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(`PDF completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Load an HTML document into the page and wait for its resources
+async function loadContent(page, html, { css, baseUrl } = {}) {
+  // A <base> tag resolves relative URLs in the document against baseUrl
+  if (baseUrl) {
+    const baseTag = `<base href="${escapeXml(baseUrl)}">`;
+    html = /<head[^>]*>/i.test(html)
+      ? html.replace(/<head[^>]*>/i, (head) => head + baseTag)
+      : baseTag + html;
+  }
+
+  // A subresource that never finishes (tracking pixel, long polling) must not
+  // fail the render; the bounded fonts and images wait below covers the rest
+  console.log("Loading inline HTML content...");
+  try {
+    await page.setContent(html, {
+      waitUntil: "load",
+      timeout: CONFIG.PAGE_LOAD_TIMEOUT,
+    });
+  } catch (error) {
+    if (error.name !== "TimeoutError") {
+      throw error;
+    }
+    console.log("Content did not finish loading but proceeding");
+  }
+
+  if (css) {
+    await page.addStyleTag({ content: css });
+  }
+
+  // Wait for web fonts and images referenced by the document
+  try {
+    await page.waitForFunction(
+      () =>
+        document.fonts.status === "loaded" &&
+        Array.from(document.images).every((img) => img.complete),
+      { timeout: CONFIG.PAGE_LOAD_TIMEOUT * 0.1 }
+    );
+  } catch (e) {
+    console.log("Some fonts or images may not load but proceeding");
+  }
+}
+
+// Body options arrive as JSON values; the query parsers expect strings
+function stringifyOptions(options) {
+  if (!options || typeof options !== "object") {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(options)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+// Render raw HTML posted in the request body as an image or PDF
+app.post(
+  "/render",
+  express.json({ limit: CONFIG.MAX_HTML_SIZE }),
+  express.text({
+    type: ["text/html", "text/plain"],
+    limit: CONFIG.MAX_HTML_SIZE,
+  }),
+  async (req, res) => {
+    const startTime = Date.now();
+    lastActivity = startTime;
+
+    // Check memory and force GC if needed
+    if (memoryMonitor.shouldGC()) {
+      memoryMonitor.forceGC();
+    }
+
+    // Plain HTML bodies are accepted as-is; JSON bodies carry html, css and options
+    const body =
+      typeof req.body === "string" ? { html: req.body } : req.body || {};
+    const { html, css, baseUrl } = body;
+
+    if (!html || typeof html !== "string") {
+      return res.status(400).json({ error: "Missing html in request body" });
+    }
+
+    if (baseUrl) {
+      try {
+        new URL(baseUrl);
+      } catch (error) {
+        return res.status(400).json({ error: "Invalid baseUrl provided" });
+      }
+    }
+
+    // Options may be given as query parameters or in the JSON body
+    const query = { ...req.query, ...stringifyOptions(body.options) };
+    const isPdf = query.output === "pdf";
+
+    const { error, options: outputOptions } = isPdf
+      ? parsePdfOptions(query)
+      : parseScreenshotOptions(query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { error: pageError, options: pageOptions } = parsePageOptions(
+      query,
+      baseUrl
+    );
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    // Generate cache key
+    const cacheKey = generateCacheKey(
+      "render",
+      crypto
+        .createHash("sha256")
+        .update(`${html}\0${css || ""}\0${baseUrl || ""}`)
+        .digest("hex"),
+      isPdf
+        ? JSON.stringify(outputOptions)
+        : screenshotOptionsKey(outputOptions),
+      pageOptionsKey(pageOptions)
+    );
+
+    // Check cache first
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      console.log("Serving cached HTML render");
+      res.set("Content-Type", cachedResult.contentType);
+      res.set("Cache-Control", "private, max-age=3600");
+      res.set("X-Cache", "HIT");
+      return res.send(cachedResult.buffer);
+    }
+
+    // Add request to queue
+    await processRenderRequest(
+      res,
+      {
+        url: baseUrl || "inline HTML",
+        label: "Render",
+        action: "rendering HTML",
+      },
+      async (page) => {
+        await preparePage(page, baseUrl || "", {
+          ...pageOptions,
+          deviceScaleFactor: isPdf ? undefined : outputOptions.scale,
+        });
+
+        await loadContent(page, html, { css, baseUrl });
+
+        const buffer = isPdf
+          ? Buffer.from(await page.pdf(outputOptions))
+          : await takeScreenshot(page, outputOptions);
+
+        // Cache the result
+        const contentType = isPdf
+          ? "application/pdf"
+          : outputOptions.imageOptions.contentType;
+        cache.set(cacheKey, { buffer, contentType });
+
+        // Send response; rendered documents may contain private data
+        res.set("Content-Type", contentType);
+        res.set("Cache-Control", "private, max-age=3600");
+        res.set("X-Cache", "MISS");
+        res.send(buffer);
+
+        const duration = Date.now() - startTime;
+        console.log(`HTML render completed in ${duration}ms`);
+      }
+    );
+  }
+);
+
+// Template fields filled into Open Graph images
+const OG_FIELDS = ["title", "subtitle", "author", "logoUrl", "theme"];
+
+// Read a named template from the templates directory
+function loadTemplate(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    return null;
+  }
+
+  const templatePath = path.join(CONFIG.TEMPLATES_DIR, `${name}.html`);
+  if (!fs.existsSync(templatePath)) {
+    return null;
+  }
+
+  return {
+    html: fs.readFileSync(templatePath, "utf8"),
+    modified: fs.statSync(templatePath).mtimeMs,
+  };
+}
+
+// Replace {{field}} placeholders with HTML-escaped values
+function fillTemplate(html, values) {
+  return html.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) =>
+    escapeXml(values[field] || "")
+  );
+}
+
+// Validate Open Graph template values
+function parseOgValues(source) {
+  const values = {};
+  for (const field of OG_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) {
+      values[field] = String(source[field]);
+    }
+  }
+
+  values.theme = values.theme || "light";
+  if (!["light", "dark"].includes(values.theme)) {
+    return { error: "Invalid theme parameter. Supported values: light, dark" };
+  }
+
+  if (values.logoUrl) {
+    try {
+      const logoUrl = new URL(values.logoUrl);
+      if (!["http:", "https:", "data:"].includes(logoUrl.protocol)) {
+        throw new Error("Unsupported protocol");
+      }
+    } catch (error) {
+      return { error: "Invalid logoUrl provided" };
+    }
+  }
+
+  if (!values.title) {
+    return { error: "Missing title parameter" };
+  }
+
+  return { values };
+}
+
+// Render a named template as a 1200x630 Open Graph image
+async function handleOgRequest(req, res, source) {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const templateName = source.template || "default";
+  const template = loadTemplate(templateName);
+  if (!template) {
+    return res
+      .status(404)
+      .json({ error: `Template not found: ${templateName}` });
+  }
+
+  const { error, values } = parseOgValues(source);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { error: imageError, options: imageOptions } =
+    parseImageOptions(source);
+  if (imageError) {
+    return res.status(400).json({ error: imageError });
+  }
+
+  // Generate cache key; template edits invalidate cached images
+  const cacheKey = generateCacheKey(
+    "og",
+    templateName,
+    template.modified,
+    crypto.createHash("sha256").update(JSON.stringify(values)).digest("hex"),
+    imageOptions.type,
+    imageOptions.quality,
+    imageOptions.lossless
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached OG image for template ${templateName}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=86400");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    {
+      url: `template ${templateName}`,
+      label: "OG image",
+      action: "rendering OG image",
+    },
+    async (page) => {
+      await preparePage(page, "", { width: 1200, height: 630 });
+
+      await loadContent(page, fillTemplate(template.html, values));
+
+      const buffer = await captureImage(page, imageOptions, {
+        fullPage: false,
+      });
+
+      // Cache the result
+      const contentType = imageOptions.contentType;
+      cache.set(cacheKey, { buffer, contentType });
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Cache-Control", "public, max-age=86400");
+      res.set("X-Cache", "MISS");
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(
+        `OG image completed in ${duration}ms for template ${templateName}`
+      );
+    }
+  );
+}
+
+// Open Graph image endpoints: query parameters or JSON body
+app.get("/og", (req, res) => handleOgRequest(req, res, req.query));
+app.post("/og", express.json(), (req, res) =>
+  handleOgRequest(req, res, { ...req.query, ...stringifyOptions(req.body) })
+);
+
+// Validate pixel comparison parameters
+function parseDiffOptions(query) {
+  const threshold = query.threshold ? parseFloat(query.threshold) : 0.1;
+  if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+    return { error: "Invalid threshold parameter. Must be between 0 and 1" };
+  }
+
+  // Anti-aliased pixels are ignored unless includeAA=true
+  return { options: { threshold, includeAA: query.includeAA === "true" } };
+}
+
+// Group changed pixels into bounding boxes using a coarse grid
+function findChangedRegions(diff, width, height, cellSize = 16) {
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Map();
+
+  // Diff pixels are drawn in pure red; unchanged pixels are gray
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (diff[i] !== 255 || diff[i + 1] !== 0 || diff[i + 2] !== 0) {
+        continue;
+      }
+
+      const cell =
+        Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+      const bounds = cells.get(cell);
+      if (bounds) {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+      } else {
+        cells.set(cell, { minX: x, minY: y, maxX: x, maxY: y });
+      }
+    }
+  }
+
+  // Merge neighbouring cells into regions
+  const visited = new Set();
+  const regions = [];
+  for (const start of cells.keys()) {
+    if (visited.has(start)) {
+      continue;
+    }
+
+    visited.add(start);
+    const stack = [start];
+    const region = { ...cells.get(start) };
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const bounds = cells.get(cell);
+      region.minX = Math.min(region.minX, bounds.minX);
+      region.minY = Math.min(region.minY, bounds.minY);
+      region.maxX = Math.max(region.maxX, bounds.maxX);
+      region.maxY = Math.max(region.maxY, bounds.maxY);
+
+      const row = Math.floor(cell / columns);
+      const column = cell % columns;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const r = row + dy;
+          const c = column + dx;
+          const neighbour = r * columns + c;
+          if (
+            r >= 0 &&
+            r < rows &&
+            c >= 0 &&
+            c < columns &&
+            cells.has(neighbour) &&
+            !visited.has(neighbour)
+          ) {
+            visited.add(neighbour);
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+    });
+  }
+
+  // Largest regions first
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, CONFIG.MAX_DIFF_REGIONS);
+}
+
+// Compare two images pixel by pixel and build a highlighted diff image
+async function compareImages(imageA, imageB, diffOptions) {
+  const pixelmatch = require("pixelmatch");
+
+  const [metaA, metaB] = await Promise.all([
+    sharp(imageA).metadata(),
+    sharp(imageB).metadata(),
+  ]);
+  const width = Math.max(metaA.width, metaB.width);
+  const height = Math.max(metaA.height, metaB.height);
+
+  // Pad the smaller image in magenta so missing areas count as changed
+  const toRaw = (image, meta) =>
+    sharp(image)
+      .ensureAlpha()
+      .extend({
+        right: width - meta.width,
+        bottom: height - meta.height,
+        background: { r: 255, g: 0, b: 255, alpha: 1 },
+      })
+      .raw()
+      .toBuffer();
+  const [rawA, rawB] = await Promise.all([
+    toRaw(imageA, metaA),
+    toRaw(imageB, metaB),
+  ]);
+
+  const diff = Buffer.alloc(width * height * 4);
+  const mismatchedPixels = pixelmatch(rawA, rawB, diff, width, height, {
+    threshold: diffOptions.threshold,
+    includeAA: diffOptions.includeAA,
+    diffColor: [255, 0, 0],
+    aaColor: [255, 255, 0],
+  });
+
+  const diffImage = await sharp(diff, {
+    raw: { width, height, channels: 4 },
+  })
+    .png()
+    .toBuffer();
+
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    sizeMismatch: metaA.width !== metaB.width || metaA.height !== metaB.height,
+    mismatchedPixels,
+    totalPixels,
+    mismatchPercentage:
+      Math.round((mismatchedPixels / totalPixels) * 100 * 1000) / 1000,
+    regions: findChangedRegions(diff, width, height),
+    diffImage,
+  };
+}
+
+// Capture one or two URLs and compare them pixel by pixel
+async function handleDiffRequest(req, res, source, storedImage) {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const { url, compareUrl } = source;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+  if (!compareUrl && !storedImage) {
+    return res
+      .status(400)
+      .json({ error: "Missing compareUrl parameter or stored image" });
+  }
+
+  const { error, options: diffOptions } = parseDiffOptions(source);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Both sides are captured as PNG so compression does not show up as change
+  const { error: screenshotError, options: screenshotOptions } =
+    parseScreenshotOptions({ ...source, ...PNG_CAPTURE });
+  if (screenshotError) {
+    return res.status(400).json({ error: screenshotError });
+  }
+
+  // Each side gets the default viewport of its own site rules
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    source,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+  const compareOptions = compareUrl
+    ? parsePageOptions(source, compareUrl).options
+    : pageOptions;
+
+  // Diffs are never cached: each comparison should reflect the live pages
+  await processRenderRequest(
+    res,
+    { url, label: "Diff", action: "comparing pages" },
+    async (page) => {
+      const capture = async (target, targetOptions) => {
+        await preparePage(page, target, {
+          ...targetOptions,
+          deviceScaleFactor: screenshotOptions.scale,
+        });
+        await loadPage(page, target, targetOptions);
+        return takeScreenshot(page, screenshotOptions);
+      };
+
+      const imageA = await capture(url, pageOptions);
+      const imageB = compareUrl
+        ? await capture(compareUrl, compareOptions)
+        : storedImage;
+
+      const result = await compareImages(imageA, imageB, diffOptions);
+
+      if (source.output === "image") {
+        res.set("Content-Type", "image/png");
+        res.set("Cache-Control", "no-store");
+        res.set("X-Mismatch-Percentage", String(result.mismatchPercentage));
+        res.set("X-Mismatched-Pixels", String(result.mismatchedPixels));
+        res.send(result.diffImage);
+      } else {
+        const { diffImage, ...summary } = result;
+        res.set("Cache-Control", "no-store");
+        res.json({
+          url,
+          compareUrl: compareUrl || null,
+          ...summary,
+          threshold: diffOptions.threshold,
+          includeAA: diffOptions.includeAA,
+          diffImage: diffImage.toString("base64"),
+        });
+      }
+
+      const duration = Date.now() - startTime;
+      console.log(
+        `Diff completed in ${duration}ms for ${url}: ${result.mismatchPercentage}% changed`
+      );
+    }
+  );
+}
+
+// Decode a base64 image (optionally a data URL) and check that sharp can read it
+async function decodeImage(data) {
+  if (typeof data !== "string") {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+    await sharp(buffer).metadata();
+    return buffer;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Visual diff endpoints: two URLs, or one URL against a posted image
+app.get("/diff", (req, res) => handleDiffRequest(req, res, req.query));
+app.post(
+  "/diff",
+  express.json({ limit: CONFIG.MAX_IMAGE_SIZE }),
+  async (req, res) => {
+    const body = req.body || {};
+    const source = {
+      ...req.query,
+      ...stringifyOptions(body.options),
+      url: body.url || req.query.url,
+      compareUrl: body.compareUrl || req.query.compareUrl,
+    };
+
+    let storedImage = null;
+    if (body.image) {
+      storedImage = await decodeImage(body.image);
+      if (!storedImage) {
+        return res.status(400).json({ error: "Invalid image data" });
+      }
+    }
+
+    return handleDiffRequest(req, res, source, storedImage);
+  }
+);
+
+// Compare a capture against the approved version of a named baseline
+async function compareWithBaseline(buffer, baseline) {
+  const meta = await baselineStore.get(baseline.name);
+  const approved =
+    meta && (await baselineStore.readImage(meta.name, meta.approvedVersion));
+  if (!approved) {
+    throw BaselineStore.notFound(`Baseline not found: ${baseline.name}`);
+  }
+
+  const result = await compareImages(approved, buffer, baseline.diffOptions);
+  const passed =
+    !result.sizeMismatch && result.mismatchPercentage <= baseline.maxMismatch;
+
+  // Failed captures can be kept as pending candidates for later approval
+  let candidateVersion = null;
+  if (!passed && baseline.saveCandidate) {
+    const { entry } = await baselineStore.addVersion(baseline.name, buffer, {
+      url: baseline.url,
+    });
+    candidateVersion = entry.version;
+  }
+
+  const { diffImage, ...summary } = result;
+  return {
+    baseline: meta.name,
+    version: meta.approvedVersion,
+    passed,
+    maxMismatch: baseline.maxMismatch,
+    ...summary,
+    candidateVersion,
+    diffImage: passed ? undefined : diffImage.toString("base64"),
+  };
+}
+
+// Validate baseline comparison parameters for /screenshot
+function parseBaselineOptions(query) {
+  if (!BaselineStore.isValidName(query.baseline)) {
+    return { error: "Invalid baseline name" };
+  }
+
+  const { error, options: diffOptions } = parseDiffOptions(query);
+  if (error) {
+    return { error };
+  }
+
+  const maxMismatch = query.maxMismatch ? parseFloat(query.maxMismatch) : 0;
+  if (isNaN(maxMismatch) || maxMismatch < 0 || maxMismatch > 100) {
+    return {
+      error: "Invalid maxMismatch parameter. Must be between 0 and 100",
+    };
+  }
+
+  return {
+    options: {
+      name: query.baseline,
+      diffOptions,
+      maxMismatch,
+      saveCandidate: query.saveCandidate === "true",
+      url: query.url,
+    },
+  };
+}
+
+// Parse a baseline version route parameter
+function parseVersion(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+// List baselines
+app.get("/baselines", async (req, res) => {
+  try {
+    res.json({ baselines: await baselineStore.list() });
+  } catch (error) {
+    console.error("Baseline list error:", error);
+    sendRenderError(res, error, "listing baselines");
+  }
+});
+
+// Baseline metadata with all versions
+app.get("/baselines/:name", async (req, res) => {
+  try {
+    const meta = BaselineStore.isValidName(req.params.name)
+      ? await baselineStore.get(req.params.name)
+      : null;
+    if (!meta) {
+      return res
+        .status(404)
+        .json({ error: `Baseline not found: ${req.params.name}` });
+    }
+    res.json(meta);
+  } catch (error) {
+    console.error(`Baseline read error for ${req.params.name}:`, error);
+    sendRenderError(res, error, "reading baseline");
+  }
+});
+
+// Baseline image; defaults to the approved version
+app.get("/baselines/:name/image", async (req, res) => {
+  try {
+    const meta = BaselineStore.isValidName(req.params.name)
+      ? await baselineStore.get(req.params.name)
+      : null;
+    const version = req.query.version
+      ? parseVersion(req.query.version)
+      : meta && meta.approvedVersion;
+    const image =
+      meta && version && (await baselineStore.readImage(meta.name, version));
+    if (!image) {
+      return res.status(404).json({ error: "Baseline image not found" });
+    }
+
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "no-store");
+    res.set("X-Baseline-Version", String(version));
+    res.send(image);
+  } catch (error) {
+    console.error(`Baseline image error for ${req.params.name}:`, error);
+    sendRenderError(res, error, "reading baseline");
+  }
+});
+
+// Save a new baseline version from a capture or an uploaded image
+app.put(
+  "/baselines/:name",
+  express.json({ limit: CONFIG.MAX_IMAGE_SIZE }),
+  async (req, res) => {
+    const name = req.params.name;
+    if (!BaselineStore.isValidName(name)) {
+      return res.status(400).json({ error: "Invalid baseline name" });
+    }
+
+    const body = req.body || {};
+    const source = {
+      ...req.query,
+      ...stringifyOptions(body.options),
+      url: body.url || req.query.url,
+    };
+    const approve = body.approve === true || String(source.approve) === "true";
+
+    // Uploaded images are stored directly
+    if (body.image) {
+      const image = await decodeImage(body.image);
+      if (!image) {
+        return res.status(400).json({ error: "Invalid image data" });
+      }
+
+      try {
+        const png = await sharp(image).png().toBuffer();
+        const { entry } = await baselineStore.addVersion(
+          name,
+          png,
+          { source: "upload" },
+          approve
+        );
+        return res.status(201).json({ name, ...entry });
+      } catch (error) {
+        console.error(`Baseline save error for ${name}:`, error);
+        return sendRenderError(res, error, "saving baseline");
+      }
+    }
+
+    const url = source.url;
+    if (!url) {
+      return res
+        .status(400)
+        .json({ error: "Missing url parameter or image data" });
+    }
+
+    const { error, options: screenshotOptions } = parseScreenshotOptions({
+      ...source,
+      ...PNG_CAPTURE,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { error: pageError, options: pageOptions } = parsePageOptions(
+      source,
+      url
+    );
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    lastActivity = Date.now();
+
+    // Add request to queue
+    await processRenderRequest(
+      res,
+      { url, label: "Baseline", action: "saving baseline" },
+      async (page) => {
+        await preparePage(page, url, {
+          ...pageOptions,
+          deviceScaleFactor: screenshotOptions.scale,
+        });
+        await loadPage(page, url, pageOptions);
+
+        const buffer = await takeScreenshot(page, screenshotOptions);
+        const { entry } = await baselineStore.addVersion(
+          name,
+          buffer,
+          {
+            source: "capture",
+            url,
+            options: screenshotOptionsKey(screenshotOptions),
+          },
+          approve
+        );
+
+        console.log(`Saved baseline ${name} v${entry.version} from ${url}`);
+        res.status(201).json({ name, ...entry });
+      }
+    );
+  }
+);
+
+// Approve a baseline version as the new reference
+app.post("/baselines/:name/versions/:version/approve", async (req, res) => {
+  const version = parseVersion(req.params.version);
+  if (!BaselineStore.isValidName(req.params.name) || !version) {
+    return res.status(400).json({ error: "Invalid baseline name or version" });
+  }
+
+  try {
+    const meta = await baselineStore.approve(req.params.name, version);
+    console.log(`Approved baseline ${meta.name} v${version}`);
+    res.json(meta);
+  } catch (error) {
+    console.error(`Baseline approve error for ${req.params.name}:`, error);
+    sendRenderError(res, error, "approving baseline");
+  }
+});
+
+// Delete a single baseline version
+app.delete("/baselines/:name/versions/:version", async (req, res) => {
+  const version = parseVersion(req.params.version);
+  if (!BaselineStore.isValidName(req.params.name) || !version) {
+    return res.status(400).json({ error: "Invalid baseline name or version" });
+  }
+
+  try {
+    res.json(await baselineStore.removeVersion(req.params.name, version));
+  } catch (error) {
+    console.error(`Baseline delete error for ${req.params.name}:`, error);
+    sendRenderError(res, error, "deleting baseline");
+  }
+});
+
+// Delete a baseline with all its versions
+app.delete("/baselines/:name", async (req, res) => {
+  if (!BaselineStore.isValidName(req.params.name)) {
+    return res.status(400).json({ error: "Invalid baseline name" });
+  }
+
+  try {
+    await baselineStore.remove(req.params.name);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Baseline delete error for ${req.params.name}:`, error);
+    sendRenderError(res, error, "deleting baseline");
+  }
+});
+
+// Serialize the rendered DOM, optionally without scripts and with absolute URLs
+async function serializeRenderedHtml(page, { stripScripts, rewriteUrls }) {
+  return page.evaluate(
+    (stripScripts, rewriteUrls) => {
+      if (stripScripts) {
+        // JSON-LD structured data is kept for crawlers
+        document
+          .querySelectorAll(
+            'script:not([type="application/ld+json"]), noscript, link[rel="modulepreload"], link[rel="preload"][as="script"]'
+          )
+          .forEach((el) => el.remove());
+      }
+
+      if (rewriteUrls) {
+        const toAbsolute = (value) => {
+          const trimmed = value.trim();
+          if (!trimmed || /^(#|javascript:|data:|blob:)/i.test(trimmed)) {
+            return value;
+          }
+          try {
+            return new URL(trimmed, document.baseURI).href;
+          } catch (e) {
+            return value;
+          }
+        };
+
+        for (const attribute of ["href", "src", "action", "poster"]) {
+          document.querySelectorAll(`[${attribute}]`).forEach((el) => {
+            el.setAttribute(attribute, toAbsolute(el.getAttribute(attribute)));
+          });
+        }
+
+        // Candidates are parsed as the HTML spec does: a URL runs to the next
+        // whitespace, so commas inside it (common in CDN paths) are kept
+        const rewriteSrcset = (srcset) => {
+          const candidates = [];
+          let position = 0;
+          while (position < srcset.length) {
+            const start = srcset.slice(position).search(/[^\s,]/);
+            if (start === -1) {
+              break;
+            }
+            position += start;
+
+            let url = srcset.slice(position).match(/^\S+/)[0];
+            position += url.length;
+            let descriptor = "";
+            if (url.endsWith(",")) {
+              url = url.replace(/,+$/, "");
+            } else {
+              // Descriptors end at the next comma outside parentheses
+              let depth = 0;
+              while (position < srcset.length) {
+                const char = srcset[position++];
+                if (char === "(") {
+                  depth++;
+                } else if (char === ")") {
+                  depth = Math.max(depth - 1, 0);
+                } else if (char === "," && depth === 0) {
+                  break;
+                }
+                descriptor += char;
+              }
+            }
+
+            candidates.push(
+              [toAbsolute(url), descriptor.trim()].filter(Boolean).join(" ")
+            );
+          }
+          return candidates.join(", ");
+        };
+
+        document.querySelectorAll("[srcset]").forEach((el) => {
+          el.setAttribute("srcset", rewriteSrcset(el.getAttribute("srcset")));
+        });
+      }
+
+      const doctype = document.doctype
+        ? new XMLSerializer().serializeToString(document.doctype) + "\n"
+        : "";
+      return doctype + document.documentElement.outerHTML;
+    },
+    stripScripts,
+    rewriteUrls
+  );
+}
+
+// Prerender endpoint returning the fully rendered HTML for SEO bots
+app.get("/html", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  const htmlOptions = {
+    stripScripts: req.query.stripScripts === "true",
+    rewriteUrls: req.query.rewriteUrls !== "false",
+  };
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    "html",
+    url,
+    htmlOptions.stripScripts,
+    htmlOptions.rewriteUrls,
+    pageOptionsKey(pageOptions)
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached HTML for ${url}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "Prerender", action: "prerendering page" },
+    async (page) => {
+      await preparePage(page, url, pageOptions);
+
+      await loadPage(page, url, pageOptions);
+
+      const html = await serializeRenderedHtml(page, htmlOptions);
+      const buffer = Buffer.from(html, "utf8");
+
+      // Cache the result with its own TTL
+      const contentType = "text/html; charset=utf-8";
+      cache.set(cacheKey, { buffer, contentType }, CONFIG.HTML_CACHE_TTL);
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("X-Cache", "MISS");
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(`Prerender completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Capture the loaded page as a single-file MHTML archive
+async function captureMhtml(page) {
+  const client = await page.createCDPSession();
+  try {
+    const { data } = await client.send("Page.captureSnapshot", {
+      format: "mhtml",
+    });
+    return Buffer.from(data, "utf8");
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Archive endpoint returning an MHTML snapshot, optionally zipped with a PNG
+app.get("/archive", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const bundle = req.query.bundle === "zip";
+
+  const { error, options: screenshotOptions } = parseScreenshotOptions({
+    ...req.query,
+    ...PNG_CAPTURE,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  // Archives are records of what the page said at capture time, so never cached
+  await processRenderRequest(
+    res,
+    { url, label: "Archive", action: "archiving page" },
+    async (page) => {
+      await preparePage(page, url, {
+        ...pageOptions,
+        deviceScaleFactor: screenshotOptions.scale,
+      });
+
+      const { response } = await loadPage(page, url, pageOptions);
+      const mhtml = await captureMhtml(page);
+      const timestamp = new Date().toISOString();
+      const filename = `archive-${timestamp.replace(/[:.]/g, "-")}`;
+
+      res.set("Cache-Control", "no-store");
+
+      if (!bundle) {
+        // multipart/related would need the boundary from inside the file;
+        // this is the type browsers use for saved .mhtml pages
+        res.set("Content-Type", "application/x-mimearchive");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="${filename}.mhtml"`
+        );
+        res.send(mhtml);
+      } else {
+        const JSZip = require("jszip");
+        const screenshot = await takeScreenshot(page, screenshotOptions);
+        const sha256 = (buffer) =>
+          crypto.createHash("sha256").update(buffer).digest("hex");
+
+        const metadata = {
+          url,
+          finalUrl: page.url(),
+          status: response.status(),
+          title: await page.title(),
+          timestamp,
+          userAgent: await page.evaluate(() => navigator.userAgent),
+          files: {
+            "page.mhtml": { sha256: sha256(mhtml), size: mhtml.length },
+            "screenshot.png": {
+              sha256: sha256(screenshot),
+              size: screenshot.length,
+            },
+          },
+        };
+
+        const zip = new JSZip();
+        zip.file("page.mhtml", mhtml);
+        zip.file("screenshot.png", screenshot);
+        zip.file("metadata.json", JSON.stringify(metadata, null, 2));
+        const buffer = await zip.generateAsync({
+          type: "nodebuffer",
+          compression: "DEFLATE",
+        });
+
+        res.set("Content-Type", "application/zip");
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="${filename}.zip"`
+        );
+        res.send(buffer);
+      }
+
+      const duration = Date.now() - startTime;
+      console.log(`Archive completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Convert CDP header objects to HAR name/value lists
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: String(value),
+  }));
+}
+
+// Convert CDP resource timing to HAR timings in milliseconds
+function toHarTimings(record) {
+  const timing = record.response && record.response.timing;
+  const total = Math.max(
+    ((record.endTimestamp || record.timestamp) - record.timestamp) * 1000,
+    0
+  );
+
+  // Failed, cached and pending requests have no detailed timing
+  if (!timing) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: 0,
+      receive: total,
+    };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const queued = Math.max((timing.requestTime - record.timestamp) * 1000, 0);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart]
+    .filter((value) => value >= 0)
+    .shift();
+  const headersReceived = timing.requestTime + timing.receiveHeadersEnd / 1000;
+
+  return {
+    blocked: queued + (firstStart || 0),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    // HAR connect includes ssl
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(timing.sendEnd - timing.sendStart, 0),
+    wait: Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0),
+    receive: record.endTimestamp
+      ? Math.max((record.endTimestamp - headersReceived) * 1000, 0)
+      : 0,
+  };
+}
+
+// Build a HAR 1.2 entry from a recorded request
+function toHarEntry(record) {
+  const { request, response } = record;
+  const timings = toHarTimings(record);
+  const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+    .map((phase) => timings[phase])
+    .filter((value) => value > 0)
+    .reduce((total, value) => total + value, 0);
+
+  let queryString = [];
+  try {
+    queryString = Array.from(new URL(request.url).searchParams).map(
+      ([name, value]) => ({ name, value })
+    );
+  } catch (e) {
+    // data: and other opaque URLs have no query string
+  }
+
+  const entry = {
+    pageref: "page_1",
+    startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: (response && response.protocol) || "",
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString,
+      headersSize: -1,
+      bodySize: request.postData ? Buffer.byteLength(request.postData) : 0,
+    },
+    response: {
+      status: response ? response.status : 0,
+      statusText: response ? response.statusText : record.errorText || "",
+      httpVersion: (response && response.protocol) || "",
+      cookies: [],
+      headers: toHarHeaders(response && response.headers),
+      content: {
+        size: record.dataLength || 0,
+        mimeType: (response && response.mimeType) || "x-unknown",
+      },
+      redirectURL:
+        (response &&
+          (response.headers.location || response.headers.Location)) ||
+        "",
+      headersSize: -1,
+      bodySize:
+        record.encodedDataLength !== undefined ? record.encodedDataLength : -1,
+    },
+    cache: {},
+    timings,
+    _resourceType: record.resourceType,
+  };
+
+  if (request.postData) {
+    entry.request.postData = {
+      mimeType: request.headers["Content-Type"] || "",
+      text: request.postData,
+    };
+  }
+  if (record.errorText) {
+    entry._error = record.errorText;
+  }
+  if (!record.endTimestamp) {
+    entry._pending = true;
+  }
+
+  return entry;
+}
+
+// Record all requests made by the page through CDP Network events
+async function startHarRecorder(page) {
+  const client = await page.createCDPSession();
+  await client.send("Network.enable");
+
+  const records = [];
+  const active = new Map();
+
+  client.on("Network.requestWillBeSent", (event) => {
+    // Redirects reuse the request id; close the previous hop first
+    const previous = active.get(event.requestId);
+    if (previous && event.redirectResponse) {
+      previous.response = event.redirectResponse;
+      previous.endTimestamp = event.timestamp;
+    }
+
+    const record = {
+      request: event.request,
+      wallTime: event.wallTime,
+      timestamp: event.timestamp,
+      resourceType: event.type,
+      dataLength: 0,
+    };
+    records.push(record);
+    active.set(event.requestId, record);
+  });
+
+  client.on("Network.responseReceived", (event) => {
+    const record = active.get(event.requestId);
+    if (record) {
+      record.response = event.response;
+    }
+  });
+
+  client.on("Network.dataReceived", (event) => {
+    const record = active.get(event.requestId);
+    if (record) {
+      record.dataLength += event.dataLength;
+    }
+  });
+
+  client.on("Network.loadingFinished", (event) => {
+    const record = active.get(event.requestId);
+    if (record) {
+      record.encodedDataLength = event.encodedDataLength;
+      record.endTimestamp = event.timestamp;
+    }
+  });
+
+  client.on("Network.loadingFailed", (event) => {
+    const record = active.get(event.requestId);
+    if (record) {
+      record.errorText = event.blockedReason
+        ? `${event.errorText} (${event.blockedReason})`
+        : event.errorText;
+      record.endTimestamp = event.timestamp;
+    }
+  });
+
+  return {
+    async stop() {
+      await client.detach().catch(() => {});
+      return records.map(toHarEntry);
+    },
+  };
+}
+
+// HAR endpoint recording the network log of a full page load
+app.get("/har", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  // Network logs are for debugging the live page, so never cached
+  await processRenderRequest(
+    res,
+    { url, label: "HAR", action: "recording network log" },
+    async (page) => {
+      await preparePage(page, url, pageOptions);
+
+      const recorder = await startHarRecorder(page);
+      const pageStarted = new Date().toISOString();
+
+      // A failed page load is exactly what the log should explain
+      let loadError = null;
+      try {
+        await loadPage(page, url, pageOptions);
+      } catch (error) {
+        if (error.code === "ERR_INVALID_URL") {
+          throw error;
+        }
+        loadError = error.message;
+      }
+
+      const entries = await recorder.stop();
+      const pageTimings = await page
+        .evaluate(() => {
+          const [navigation] = performance.getEntriesByType("navigation");
+          return navigation
+            ? {
+                onContentLoad: navigation.domContentLoadedEventEnd,
+                onLoad: navigation.loadEventEnd,
+              }
+            : {};
+        })
+        .catch(() => ({}));
+
+      const failed = entries.filter(
+        (entry) => entry._error || entry.response.status >= 400
+      ).length;
+
+      res.set("Content-Type", "application/json");
+      res.set("Cache-Control", "no-store");
+      res.set("X-Request-Count", String(entries.length));
+      res.set("X-Failed-Requests", String(failed));
+      res.send(
+        JSON.stringify({
+          log: {
+            version: "1.2",
+            creator: { name: "screenshot-api", version: "2.1.0" },
+            browser: {
+              name: "Chrome",
+              version: (await page.browser().version()).replace(/^.*\//, ""),
+            },
+            pages: [
+              {
+                startedDateTime: pageStarted,
+                id: "page_1",
+                title: await page.title().catch(() => url),
+                pageTimings: {
+                  onContentLoad: pageTimings.onContentLoad || -1,
+                  onLoad: pageTimings.onLoad || -1,
+                },
+              },
+            ],
+            entries,
+            comment: loadError ? `Page load failed: ${loadError}` : "",
+          },
+        })
+      );
+
+      const duration = Date.now() - startTime;
+      console.log(
+        `HAR completed in ${duration}ms for ${url}: ${entries.length} requests, ${failed} failed`
+      );
+    }
+  );
+});
+
+// Basic accessibility audit: missing alt text, unnamed buttons, heading jumps
+async function auditAccessibility(page, selector) {
+  return page.evaluate((selector) => {
+    const scope = selector ? document.querySelector(selector) : document.body;
+    if (!scope) {
+      return { imagesWithoutAlt: [], unnamedButtons: [], headingJumps: [] };
+    }
+
+    const isHidden = (el) =>
+      Boolean(el.closest('[aria-hidden="true"], [hidden]'));
+    const describe = (el) => {
+      let description = el.tagName.toLowerCase();
+      if (el.id) {
+        description += `#${el.id}`;
+      }
+      const classes = Array.from(el.classList).slice(0, 2);
+      if (classes.length > 0) {
+        description += `.${classes.join(".")}`;
+      }
+      return description;
+    };
+    const snippet = (text) => (text || "").replace(/\s+/g, " ").trim();
+    const labelledByText = (el) =>
+      (el.getAttribute("aria-labelledby") || "")
+        .split(/\s+/)
+        .map((id) => id && document.getElementById(id))
+        .filter(Boolean)
+        .map((label) => label.textContent)
+        .join(" ");
+
+    const imagesWithoutAlt = Array.from(
+      scope.querySelectorAll("img:not([alt])")
+    )
+      .filter(
+        (img) => !isHidden(img) && img.getAttribute("role") !== "presentation"
+      )
+      .map((img) => ({
+        element: describe(img),
+        src: (img.currentSrc || img.src || "").slice(0, 300),
+      }));
+
+    const unnamedButtons = Array.from(
+      scope.querySelectorAll(
+        'button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]'
+      )
+    )
+      .filter((button) => !isHidden(button))
+      .filter((button) => {
+        const images = Array.from(button.querySelectorAll("img[alt]"));
+        const name = [
+          button.getAttribute("aria-label"),
+          labelledByText(button),
+          button.textContent,
+          button.getAttribute("title"),
+          button.tagName === "INPUT"
+            ? button.value || button.getAttribute("alt")
+            : "",
+          images.map((img) => img.alt).join(" "),
+        ]
+          .map(snippet)
+          .join("");
+        // Submit and reset inputs get a default label from the browser
+        const defaultLabel =
+          button.tagName === "INPUT" &&
+          ["submit", "reset"].includes(button.type);
+        return !name && !defaultLabel;
+      })
+      .map((button) => ({
+        element: describe(button),
+        html: button.outerHTML.slice(0, 200),
+      }));
+
+    const headings = Array.from(
+      scope.querySelectorAll("h1, h2, h3, h4, h5, h6, [role=heading]")
+    )
+      .filter((heading) => !isHidden(heading))
+      .map((heading) => ({
+        heading,
+        level:
+          heading.getAttribute("role") === "heading"
+            ? parseInt(heading.getAttribute("aria-level")) || 2
+            : parseInt(heading.tagName.slice(1)),
+      }));
+
+    const headingJumps = [];
+    headings.forEach(({ heading, level }, index) => {
+      const previous = index > 0 ? headings[index - 1].level : null;
+      if (previous !== null && level > previous + 1) {
+        headingJumps.push({
+          element: describe(heading),
+          text: snippet(heading.textContent).slice(0, 100),
+          from: previous,
+          to: level,
+        });
+      }
+    });
+
+    return { imagesWithoutAlt, unnamedButtons, headingJumps };
+  }, selector || null);
+}
+
+// Accessibility endpoint returning the browser's accessibility tree
+app.get("/accessibility", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  const a11yOptions = {
+    selector: req.query.selector,
+    interestingOnly: req.query.interestingOnly !== "false",
+    audit: req.query.audit === "true",
+  };
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    "accessibility",
+    url,
+    a11yOptions.selector,
+    a11yOptions.interestingOnly,
+    a11yOptions.audit,
+    pageOptionsKey(pageOptions)
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached accessibility tree for ${url}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
+  }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "Accessibility", action: "reading accessibility tree" },
+    async (page) => {
+      await preparePage(page, url, pageOptions);
+
+      await loadPage(page, url, pageOptions);
+
+      const root = a11yOptions.selector
+        ? await waitForElement(page, a11yOptions.selector)
+        : undefined;
+
+      let tree;
+      try {
+        tree = await page.accessibility.snapshot({
+          interestingOnly: a11yOptions.interestingOnly,
+          root,
+        });
+      } finally {
+        if (root) {
+          await root.dispose();
+        }
+      }
+
+      const result = {
+        url,
+        selector: a11yOptions.selector || null,
+        interestingOnly: a11yOptions.interestingOnly,
+        tree,
+      };
+
+      if (a11yOptions.audit) {
+        const audit = await auditAccessibility(page, a11yOptions.selector);
+        result.audit = {
+          issueCount:
+            audit.imagesWithoutAlt.length +
+            audit.unnamedButtons.length +
+            audit.headingJumps.length,
+          ...audit,
+        };
+      }
+
+      // Cache the result
+      const buffer = Buffer.from(JSON.stringify(result), "utf8");
+      const contentType = "application/json; charset=utf-8";
+      cache.set(cacheKey, { buffer, contentType });
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("X-Cache", "MISS");
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(`Accessibility tree completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// Injected before any page script runs to observe Web Vitals entries
+function observeWebVitals() {
+  const vitals = { lcp: null, fcp: null, cls: 0, longTasks: [] };
+  window.__webVitals = vitals;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver((list) =>
+        list.getEntries().forEach(callback)
+      ).observe({ type, buffered: true });
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe("largest-contentful-paint", (entry) => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+
+  observe("paint", (entry) => {
+    if (entry.name === "first-contentful-paint") {
+      vitals.fcp = entry.startTime;
+    }
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, max 5s
+  let session = { value: 0, first: 0, last: 0 };
+  observe("layout-shift", (entry) => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (
+      session.value > 0 &&
+      entry.startTime - session.last < 1000 &&
+      entry.startTime - session.first < 5000
+    ) {
+      session.value += entry.value;
+      session.last = entry.startTime;
+    } else {
+      session = {
+        value: entry.value,
+        first: entry.startTime,
+        last: entry.startTime,
+      };
+    }
+    vitals.cls = Math.max(vitals.cls, session.value);
+  });
+
+  observe("longtask", (entry) => {
+    vitals.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+// Stages that scroll or click; they would add layout shifts and long tasks
+// no real visitor causes, so metrics loads skip them
+const INTERACTIVE_STAGES = ["cookieConsent", "lazyLoading", "siteSpecific"];
+
+// Chrome counters that keep growing for the lifetime of the page
+const CUMULATIVE_METRICS = [
+  "LayoutCount",
+  "RecalcStyleCount",
+  "LayoutDuration",
+  "RecalcStyleDuration",
+  "ScriptDuration",
+  "TaskDuration",
+];
+
+// Read Web Vitals, navigation timing, resource counts and Chrome counters;
+// cumulative counters are reported relative to metricsBefore
+async function collectPageMetrics(page, metricsBefore = {}) {
+  const report = await page.evaluate(() => {
+    const vitals = window.__webVitals || {
+      lcp: null,
+      fcp: null,
+      cls: 0,
+      longTasks: [],
+    };
+    const [navigation] = performance.getEntriesByType("navigation");
+
+    // Blocking time counts the part of each long task above 50ms after FCP
+    const totalBlockingTime = vitals.longTasks
+      .filter((task) => vitals.fcp === null || task.start >= vitals.fcp)
+      .reduce((total, task) => total + Math.max(task.duration - 50, 0), 0);
+
+    const resources = {};
+    for (const entry of performance.getEntriesByType("resource")) {
+      const type = entry.initiatorType || "other";
+      resources[type] = resources[type] || { count: 0, transferSize: 0 };
+      resources[type].count++;
+      resources[type].transferSize += entry.transferSize || 0;
+    }
 
-          if (isVisible) {
-            await button.click();
-            await new Promise((resolve) => setTimeout(resolve, 500));
-            break;
-          }
-        }
-      } catch (e) {
-        continue;
-      }
+    const round = (value) => (value === null ? null : Math.round(value));
+    return {
+      vitals: {
+        lcp: round(vitals.lcp),
+        fcp: round(vitals.fcp),
+        cls: Number(vitals.cls.toFixed(4)),
+        ttfb: navigation ? round(navigation.responseStart) : null,
+        tbt: round(totalBlockingTime),
+        domContentLoaded: navigation
+          ? round(navigation.domContentLoadedEventEnd)
+          : null,
+        load: navigation ? round(navigation.loadEventEnd) : null,
+      },
+      resources,
+    };
+  });
+
+  const { Timestamp, ...metrics } = await page.metrics();
+  for (const name of CUMULATIVE_METRICS) {
+    if (metrics[name] !== undefined && metricsBefore[name] !== undefined) {
+      metrics[name] -= metricsBefore[name];
     }
-  } catch (error) {
-    console.log("Cookie handling failed:", error.message);
   }
+  return { ...report, metrics };
 }
 
-// Schedule browser pool cleanup
-function scheduleCleanup() {
-  if (idleTimeout) {
-    clearTimeout(idleTimeout);
+// Median of the numeric values, ignoring missing ones
+function median(values) {
+  const sorted = values
+    .filter((value) => typeof value === "number")
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
   }
-
-  idleTimeout = setTimeout(async () => {
-    if (Date.now() - lastActivity >= CONFIG.IDLE_TIMEOUT) {
-      console.log(
-        `Service idle for ${CONFIG.IDLE_TIMEOUT / 1000} seconds, cleaning up...`
-      );
-      await browserPool.shutdown();
-      cache.clear();
-    }
-  }, CONFIG.IDLE_TIMEOUT);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
 }
 
-// Cancel cleanup
-function cancelCleanup() {
-  if (idleTimeout) {
-    clearTimeout(idleTimeout);
-    idleTimeout = null;
-  }
+// Median of every vital, counter and resource total across runs
+function summarizeMetricRuns(runs) {
+  const medianOf = (pick) => median(runs.map(pick));
+  const mapKeys = (keys, pick) =>
+    Object.fromEntries(
+      keys.map((key) => [key, medianOf((run) => pick(run, key))])
+    );
+
+  const resourceTypes = [
+    ...new Set(runs.flatMap((run) => Object.keys(run.resources))),
+  ];
+
+  return {
+    vitals: mapKeys(Object.keys(runs[0].vitals), (run, key) => run.vitals[key]),
+    metrics: mapKeys(
+      Object.keys(runs[0].metrics),
+      (run, key) => run.metrics[key]
+    ),
+    resources: Object.fromEntries(
+      resourceTypes.map((type) => [
+        type,
+        {
+          count: medianOf((run) => (run.resources[type] || {}).count || 0),
+          transferSize: medianOf(
+            (run) => (run.resources[type] || {}).transferSize || 0
+          ),
+        },
+      ])
+    ),
+  };
 }
 
-// Screenshot endpoint with optimizations
-app.get("/screenshot", async (req, res) => {
+// Performance report endpoint: Core Web Vitals over one or more cold loads
+app.get("/metrics/page", async (req, res) => {
   const startTime = Date.now();
   lastActivity = startTime;
 
@@ -1159,212 +5734,440 @@ app.get("/screenshot", async (req, res) => {
     return res.status(400).json({ error: "Missing url parameter" });
   }
 
-  // Generate cache key
-  const cacheKey = crypto
-    .createHash("md5")
-    .update(
-      `${url}_${req.query.width || 1920}_${req.query.height || 1080}_${
-        req.query.fullPage !== "false"
-      }_${req.query.type || "png"}`
-    )
-    .digest("hex");
-
-  // Check cache first
-  const cachedResult = cache.get(cacheKey);
-  if (cachedResult) {
-    console.log(`Serving cached screenshot for ${url}`);
-    res.set("Content-Type", cachedResult.contentType);
-    res.set("Cache-Control", "public, max-age=3600");
-    res.set("X-Cache", "HIT");
-    return res.send(cachedResult.buffer);
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
   }
 
-  // Add request to queue
-  try {
-    await requestQueue.addRequest(async () => {
-      let browser = null;
-      let page = null;
-
-      try {
-        // Validate URL
-        new URL(url);
-
-        // Acquire browser from pool
-        browser = await browserPool.acquireBrowser();
+  const runCount = req.query.runs ? parseInt(req.query.runs) : 1;
+  if (isNaN(runCount) || runCount < 1 || runCount > CONFIG.MAX_METRICS_RUNS) {
+    return res.status(400).json({
+      error: `Invalid runs parameter. Must be between 1 and ${CONFIG.MAX_METRICS_RUNS}`,
+    });
+  }
 
-        // Create new page
-        page = await browser.newPage();
+  // Measurements are for tracking the live page, so never cached
+  await processRenderRequest(
+    res,
+    { url, label: "Metrics", action: "collecting page metrics" },
+    async (page) => {
+      await preparePage(page, url, pageOptions);
+
+      // Every run is a cold load so repetitions are comparable
+      await page.setCacheEnabled(false);
+      await page.evaluateOnNewDocument(observeWebVitals);
+
+      const loadOptions = {
+        ...pageOptions,
+        wait: {
+          name: pageOptions.wait.name,
+          stages: Object.fromEntries(
+            Object.entries(pageOptions.wait.stages).filter(
+              ([stage]) => !INTERACTIVE_STAGES.includes(stage)
+            )
+          ),
+        },
+      };
 
-        // Set viewport
-        await page.setViewport({
-          width: parseInt(req.query.width) || 1920,
-          height: parseInt(req.query.height) || 1080,
-          deviceScaleFactor: 1,
+      const runs = [];
+      for (let i = 0; i < runCount; i++) {
+        const metricsBefore = await page.metrics();
+        const loadStarted = Date.now();
+        const { stages } = await loadPage(page, url, loadOptions);
+        const loadTime = Date.now() - loadStarted;
+
+        runs.push({
+          loadTime,
+          stages,
+          ...(await collectPageMetrics(page, metricsBefore)),
         });
+        console.log(`Metrics run ${i + 1}/${runCount} finished for ${url}`);
+      }
 
-        // Set user agent and headers
-        await page.setUserAgent(
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36"
-        );
+      res.set("Cache-Control", "no-store");
+      res.json({
+        url,
+        runs: runCount,
+        median: {
+          loadTime: median(runs.map((run) => run.loadTime)),
+          ...summarizeMetricRuns(runs),
+        },
+        results: runs,
+      });
 
-        await page.setExtraHTTPHeaders({
-          Accept:
-            "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
-          "Accept-Language": "en-US,en;q=0.9,th;q=0.8",
-          "Accept-Encoding": "gzip, deflate, br",
-          DNT: "1",
-          Connection: "keep-alive",
-          "Upgrade-Insecure-Requests": "1",
-        });
+      const duration = Date.now() - startTime;
+      console.log(`Metrics completed in ${duration}ms for ${url}`);
+    }
+  );
+});
 
-        // Set geolocation for specific sites
-        if (url.includes("flashscore.com")) {
-          await page.setGeolocation({ latitude: 13.7563, longitude: 100.5018 });
-        }
+// Supported recording output formats
+const RECORDING_FORMATS = {
+  gif: { contentType: "image/gif", ffmpeg: false },
+  webm: {
+    contentType: "video/webm",
+    ffmpeg: true,
+    args: ["-c:v", "libvpx-vp9", "-b:v", "0", "-crf", "40", "-f", "webm"],
+  },
+  mp4: {
+    contentType: "video/mp4",
+    ffmpeg: true,
+    args: [
+      "-c:v",
+      "libx264",
+      "-pix_fmt",
+      "yuv420p",
+      "-vf",
+      "scale=trunc(iw/2)*2:trunc(ih/2)*2",
+      "-movflags",
+      "frag_keyframe+empty_moov",
+      "-f",
+      "mp4",
+    ],
+  },
+};
 
-        // Navigate to page with longer timeout
-        console.log(`Navigating to ${url}...`);
-        const response = await page.goto(url, {
-          waitUntil: "domcontentloaded",
-          timeout: CONFIG.PAGE_LOAD_TIMEOUT,
-        });
+let ffmpegAvailable = false;
 
-        if (!response || !response.ok()) {
-          throw new Error(
-            `Page load failed with status: ${response?.status()}`
-          );
-        }
+// Check at startup whether ffmpeg can be spawned for video encoding
+function detectFfmpeg() {
+  return new Promise((resolve) => {
+    const ffmpeg = require("child_process").spawn(
+      CONFIG.FFMPEG_PATH,
+      ["-version"],
+      { stdio: "ignore" }
+    );
+    ffmpeg.on("error", () => resolve(false));
+    ffmpeg.on("close", (code) => resolve(code === 0));
+  }).then((available) => {
+    ffmpegAvailable = available;
+    console.log(`ffmpeg ${available ? "found" : "not found"}`);
+  });
+}
 
-        // Wait for comprehensive page load with dynamic content
-        await waitForPageLoad(page, CONFIG.PAGE_LOAD_TIMEOUT);
+// Validate recording format, duration, fps and frame width parameters
+function parseRecordOptions(query) {
+  const format = (query.format || "gif").toLowerCase();
+  if (!RECORDING_FORMATS[format]) {
+    return {
+      error: `Invalid format parameter. Supported formats: ${Object.keys(
+        RECORDING_FORMATS
+      ).join(", ")}`,
+    };
+  }
 
-        // Special handling for FlashScore with extended wait
-        if (url.includes("flashscore.com")) {
-          console.log("Applying FlashScore-specific optimizations...");
+  if (RECORDING_FORMATS[format].ffmpeg && !ffmpegAvailable) {
+    return {
+      status: 501,
+      error: `${format} encoding is not available because ffmpeg was not found. Use format=gif`,
+    };
+  }
 
-          // Wait for FlashScore specific content with longer timeout
-          try {
-            await page.waitForFunction(
-              () => {
-                const selectors = [
-                  ".sportName", // Sport names
-                  ".event__match", // Match events
-                  ".event__header", // Event headers
-                  ".league", // League names
-                  ".participant", // Team/player names
-                  ".odds", // Odds data
-                  ".live", // Live indicators
-                  ".result", // Match results
-                  "main", // Main content
-                  ".container", // Main container
-                  ".menu", // Navigation menu
-                  ".header", // Header content
-                ];
-
-                // Check if any content is visible
-                for (const selector of selectors) {
-                  const element = document.querySelector(selector);
-                  if (element && element.offsetHeight > 0) {
-                    return true;
-                  }
-                }
+  const duration = query.duration ? parseInt(query.duration) : 10000;
+  if (
+    isNaN(duration) ||
+    duration < 1000 ||
+    duration > CONFIG.MAX_RECORD_DURATION
+  ) {
+    return {
+      error: `Invalid duration parameter. Must be between 1000 and ${CONFIG.MAX_RECORD_DURATION} ms`,
+    };
+  }
 
-                // Check for meaningful text content
-                return document.body && document.body.innerText.length > 300;
-              },
-              { timeout: 20000 } // Extended timeout for FlashScore
-            );
+  const fps = query.fps ? parseInt(query.fps) : 10;
+  if (isNaN(fps) || fps < 1 || fps > CONFIG.MAX_RECORD_FPS) {
+    return {
+      error: `Invalid fps parameter. Must be between 1 and ${CONFIG.MAX_RECORD_FPS}`,
+    };
+  }
 
-            console.log("FlashScore content detected");
+  const frameWidth = query.frameWidth ? parseInt(query.frameWidth) : 800;
+  if (
+    isNaN(frameWidth) ||
+    frameWidth < 100 ||
+    frameWidth > CONFIG.MAX_RECORD_WIDTH
+  ) {
+    return {
+      error: `Invalid frameWidth parameter. Must be between 100 and ${CONFIG.MAX_RECORD_WIDTH}`,
+    };
+  }
 
-            // Additional wait for dynamic content updates
-            await new Promise((resolve) => setTimeout(resolve, 3000));
+  return {
+    options: {
+      format,
+      contentType: RECORDING_FORMATS[format].contentType,
+      duration,
+      fps,
+      frameWidth,
+    },
+  };
+}
 
-            // Try to scroll to trigger any remaining lazy loading
-            await page.evaluate(() => {
-              window.scrollTo(0, 500);
-              return new Promise((resolve) => setTimeout(resolve, 1500));
-            });
-          } catch (e) {
-            console.log(
-              "FlashScore content detection timeout, proceeding anyway"
-            );
-          }
-        }
+// Start a CDP screencast and collect frames until stopped
+async function startScreencast(page, frameWidth) {
+  const client = await page.createCDPSession();
+  const frames = [];
 
-        // Additional wait for any remaining dynamic content
-        console.log("Final wait for any remaining dynamic content...");
-        await new Promise((resolve) => setTimeout(resolve, 2000));
+  client.on("Page.screencastFrame", (event) => {
+    frames.push({
+      data: Buffer.from(event.data, "base64"),
+      timestamp: event.metadata.timestamp * 1000,
+    });
+    client
+      .send("Page.screencastFrameAck", { sessionId: event.sessionId })
+      .catch(() => {});
+  });
 
-        // Take screenshot
-        const screenshotType = req.query.type || "png";
-        const screenshotOptions = {
-          fullPage: req.query.fullPage !== "false",
-          type: screenshotType,
-        };
+  await client.send("Page.startScreencast", {
+    format: "jpeg",
+    quality: 80,
+    maxWidth: frameWidth,
+    maxHeight: frameWidth * 4,
+    everyNthFrame: 1,
+  });
 
-        if (screenshotType === "jpeg" || screenshotType === "jpg") {
-          screenshotOptions.quality = parseInt(req.query.quality) || 90;
-        }
+  return {
+    frames,
+    async stop() {
+      try {
+        await client.send("Page.stopScreencast");
+        await client.detach();
+      } catch (error) {
+        console.log("Screencast stop warning:", error.message);
+      }
+      return frames;
+    },
+  };
+}
 
-        const buffer = await page.screenshot(screenshotOptions);
+// Resample screencast frames (emitted only on change) to a fixed frame rate
+function resampleFrames(frames, fps, duration) {
+  if (frames.length === 0) {
+    return [];
+  }
 
-        // Cache the result
-        const contentType =
-          screenshotType === "jpeg" || screenshotType === "jpg"
-            ? "image/jpeg"
-            : "image/png";
-        cache.set(cacheKey, { buffer, contentType });
+  const start = frames[0].timestamp;
+  const end = Math.min(frames[frames.length - 1].timestamp, start + duration);
+  const interval = 1000 / fps;
+  const output = [];
+  let index = 0;
 
-        // Send response
-        res.set("Content-Type", contentType);
-        res.set("Cache-Control", "public, max-age=3600");
-        res.set("X-Cache", "MISS");
-        res.send(buffer);
+  for (let time = start; time <= end; time += interval) {
+    while (index < frames.length - 1 && frames[index + 1].timestamp <= time) {
+      index++;
+    }
+    output.push(frames[index].data);
+  }
 
-        const duration = Date.now() - startTime;
-        console.log(`Screenshot completed in ${duration}ms for ${url}`);
-      } catch (error) {
-        console.error(`Screenshot error for ${url}:`, error);
+  return output;
+}
 
-        if (error.code === "ERR_INVALID_URL") {
-          res.status(400).json({ error: "Invalid URL provided" });
-        } else if (error.name === "TimeoutError") {
-          res
-            .status(408)
-            .json({ error: "Request timeout - page took too long to load" });
-        } else {
-          res.status(500).json({
-            error: "Internal server error while taking screenshot",
-            details:
-              process.env.NODE_ENV === "development"
-                ? error.message
-                : undefined,
-          });
-        }
-      } finally {
-        // Clean up resources
-        if (page) {
-          try {
-            await page.close();
-          } catch (error) {
-            console.error("Error closing page:", error.message);
-          }
-        }
+// Encode JPEG frames as an animated GIF
+async function encodeGif(frames, fps) {
+  const { GIFEncoder, quantize, applyPalette } = require("gifenc");
+  const gif = GIFEncoder();
+
+  // Every frame is scaled to the size of the first one
+  const { width, height } = await sharp(frames[0]).metadata();
+
+  for (const frame of frames) {
+    const data = await sharp(frame)
+      .resize(width, height, { fit: "fill" })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+    const palette = quantize(data, 256);
+    const index = applyPalette(data, palette);
+    gif.writeFrame(index, width, height, {
+      palette,
+      delay: Math.round(1000 / fps),
+    });
 
-        if (browser) {
-          browserPool.releaseBrowser(browser);
-        }
+    // Quantizing is synchronous; let other requests run between frames
+    await new Promise((resolve) => setImmediate(resolve));
+  }
 
-        // Schedule cleanup
-        cancelCleanup();
-        scheduleCleanup();
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+// Encode JPEG frames as video by piping them through ffmpeg
+function encodeVideo(frames, fps, format) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = require("child_process").spawn(CONFIG.FFMPEG_PATH, [
+      "-loglevel",
+      "error",
+      "-f",
+      "image2pipe",
+      "-framerate",
+      String(fps),
+      "-i",
+      "pipe:0",
+      ...RECORDING_FORMATS[format].args,
+      "pipe:1",
+    ]);
+    const chunks = [];
+    let stderr = "";
+
+    ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on("data", (chunk) => (stderr += chunk));
+    ffmpeg.on("error", reject);
+    ffmpeg.on("close", (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
       }
     });
-  } catch (error) {
-    console.error("Request queue error:", error);
-    res.status(503).json({ error: "Service temporarily unavailable" });
+
+    // Ignore EPIPE if ffmpeg exits early; the close handler reports it
+    ffmpeg.stdin.on("error", () => {});
+    for (const frame of frames) {
+      ffmpeg.stdin.write(frame);
+    }
+    ffmpeg.stdin.end();
+  });
+}
+
+// Recording endpoint capturing page load and lazy-load scrolling
+app.get("/record", async (req, res) => {
+  const startTime = Date.now();
+  lastActivity = startTime;
+
+  // Check memory and force GC if needed
+  if (memoryMonitor.shouldGC()) {
+    memoryMonitor.forceGC();
+  }
+
+  const url = req.query.url;
+  if (!url) {
+    return res.status(400).json({ error: "Missing url parameter" });
+  }
+
+  const recordResult = parseRecordOptions(req.query);
+  if (recordResult.error) {
+    return res
+      .status(recordResult.status || 400)
+      .json({ error: recordResult.error });
+  }
+  const recordOptions = recordResult.options;
+
+  const { error: pageError, options: pageOptions } = parsePageOptions(
+    req.query,
+    url
+  );
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  // Generate cache key
+  const cacheKey = generateCacheKey(
+    "record",
+    url,
+    JSON.stringify(recordOptions),
+    pageOptionsKey(pageOptions)
+  );
+
+  // Check cache first
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) {
+    console.log(`Serving cached recording for ${url}`);
+    res.set("Content-Type", cachedResult.contentType);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.set("X-Cache", "HIT");
+    return res.send(cachedResult.buffer);
   }
+
+  // Add request to queue
+  await processRenderRequest(
+    res,
+    { url, label: "Recording", action: "recording page" },
+    async (page) => {
+      await preparePage(page, url, { ...pageOptions, deviceScaleFactor: 1 });
+
+      const screencast = await startScreencast(page, recordOptions.frameWidth);
+
+      // Record until the load pipeline finishes or the duration runs out
+      const loadController = new AbortController();
+      const loadPromise = loadPage(page, url, {
+        ...pageOptions,
+        signal: loadController.signal,
+      });
+      let loaded = false;
+      loadPromise.then(
+        () => (loaded = true),
+        () => (loaded = true)
+      );
+      let durationTimer;
+      await Promise.race([
+        loadPromise,
+        new Promise((resolve) => {
+          durationTimer = setTimeout(resolve, recordOptions.duration);
+        }),
+      ]).finally(() => clearTimeout(durationTimer));
+
+      const screencastFrames = await screencast.stop();
+
+      // Stop a load that outlasted the duration so it does not keep driving
+      // the page while the frames are encoded
+      if (!loaded) {
+        loadController.abort();
+        await page
+          .goto("about:blank", { timeout: CONFIG.SELECTOR_TIMEOUT })
+          .catch((error) =>
+            console.log("Stopping page load failed:", error.message)
+          );
+      }
+
+      const frames = resampleFrames(
+        screencastFrames,
+        recordOptions.fps,
+        recordOptions.duration
+      );
+      if (frames.length === 0) {
+        throw new Error("No frames were captured");
+      }
+      console.log(
+        `Encoding ${frames.length} frames as ${recordOptions.format}`
+      );
+
+      const buffer =
+        recordOptions.format === "gif"
+          ? await encodeGif(frames, recordOptions.fps)
+          : await encodeVideo(frames, recordOptions.fps, recordOptions.format);
+
+      // Cache the result
+      const contentType = recordOptions.contentType;
+      cache.set(cacheKey, { buffer, contentType });
+
+      // Send response
+      res.set("Content-Type", contentType);
+      res.set("Cache-Control", "public, max-age=3600");
+      res.set("X-Cache", "MISS");
+      res.set("X-Frame-Count", String(frames.length));
+      res.send(buffer);
+
+      const duration = Date.now() - startTime;
+      console.log(`Recording completed in ${duration}ms for ${url}`);
+    }
+  );
+});
+
+// List available device emulation presets
+app.get("/devices", (req, res) => {
+  const devices = Array.from(deviceProfiles.values()).map((device) => ({
+    name: device.name,
+    width: device.viewport.width,
+    height: device.viewport.height,
+    deviceScaleFactor: device.viewport.deviceScaleFactor,
+    isMobile: device.viewport.isMobile,
+    hasTouch: device.viewport.hasTouch,
+  }));
+
+  res.json({ count: devices.length, devices });
 });
 
 // Health check endpoint with detailed stats
@@ -1397,13 +6200,28 @@ app.get("/test-loading", async (req, res) => {
     return res.status(400).json({ error: "Missing url parameter" });
   }
 
+  const { error: waitError, options: waitPlan } = parseWaitOptions(req.query);
+  if (waitError) {
+    return res.status(400).json({ error: waitError });
+  }
+
+  const { error: consentError, options: consent } = parseConsentOption(
+    req.query
+  );
+  if (consentError) {
+    return res.status(400).json({ error: consentError });
+  }
+
+  let browser = null;
+  let page = null;
+
   try {
     // Validate URL
     new URL(url);
 
     // Acquire browser from pool
-    const browser = await browserPool.acquireBrowser();
-    const page = await browser.newPage();
+    browser = await browserPool.acquireBrowser();
+    page = await browser.newPage();
 
     // Set viewport
     await page.setViewport({
@@ -1415,18 +6233,29 @@ app.get("/test-loading", async (req, res) => {
     // Navigate and test loading
     console.log(`Testing page loading for ${url}...`);
     const startTime = Date.now();
+    const networkTracker = startNetworkTracker(page);
+    let response;
+    let stages;
 
-    const response = await page.goto(url, {
-      waitUntil: "domcontentloaded",
-      timeout: CONFIG.PAGE_LOAD_TIMEOUT,
-    });
+    try {
+      response = await page.goto(url, {
+        waitUntil: "domcontentloaded",
+        timeout: CONFIG.PAGE_LOAD_TIMEOUT,
+      });
 
-    if (!response || !response.ok()) {
-      throw new Error(`Page load failed with status: ${response?.status()}`);
-    }
+      if (!response || !response.ok()) {
+        throw new Error(`Page load failed with status: ${response?.status()}`);
+      }
 
-    // Test comprehensive loading
-    await waitForPageLoad(page, CONFIG.PAGE_LOAD_TIMEOUT);
+      // Test comprehensive loading
+      stages = await waitForPageLoad(page, waitPlan, {
+        networkTracker,
+        siteRule: siteRules.match(url),
+        consent,
+      });
+    } finally {
+      networkTracker.stop();
+    }
 
     const loadTime = Date.now() - startTime;
 
@@ -1443,14 +6272,12 @@ app.get("/test-loading", async (req, res) => {
       };
     });
 
-    // Clean up
-    await page.close();
-    browserPool.releaseBrowser(browser);
-
     res.json({
       success: true,
       url: url,
       loadTime: `${loadTime}ms`,
+      wait: waitPlan.name,
+      stages: stages,
       stats: stats,
       message: "Page loaded successfully with comprehensive waiting",
     });
@@ -1461,6 +6288,19 @@ app.get("/test-loading", async (req, res) => {
       url: url,
       error: error.message,
     });
+  } finally {
+    // Clean up resources
+    if (page) {
+      try {
+        await page.close();
+      } catch (error) {
+        console.error("Error closing page:", error.message);
+      }
+    }
+
+    if (browser) {
+      browserPool.releaseBrowser(browser);
+    }
   }
 });
 
@@ -1476,18 +6316,67 @@ app.get("/", (req, res) => {
       "Memory management and cleanup",
       "Graceful shutdown handling",
       "Comprehensive page loading with dynamic content detection",
+      "PDF rendering with the same loading pipeline",
     ],
     examples: {
       basic: "/screenshot?url=https://example.com",
       dashboard: "/screenshot?url=https://dashboard.com&type=jpeg",
+      thumbnail: "/screenshot?url=https://dashboard.com&type=webp&quality=70",
+      element: "/screenshot?url=https://dashboard.com&selector=%23sales-chart&padding=16",
+      region: "/screenshot?url=https://site.com&scrollTo=1200&clip=0,0,800,600",
+      retina: "/screenshot?url=https://site.com&scale=2&fullPage=false",
+      mobile: "/screenshot?url=https://site.com&device=iphone-15-pro",
+      responsive:
+        "/screenshot/responsive?url=https://site.com&widths=375,768&devices=ipad-pro-11,desktop",
+      dark: "/screenshot?url=https://docs.site.com&colorScheme=dark",
+      record: "/record?url=https://dashboard.com&duration=8000&fps=10",
+      og: "/og?template=article&title=Hello%20World&author=Jane&theme=dark",
+      diff: "/diff?url=https://staging.site.com&compareUrl=https://site.com&threshold=0.1",
+      baseline:
+        "/screenshot?url=https://site.com&baseline=homepage&maxMismatch=0.5",
+      html: "/html?url=https://app.site.com/products&stripScripts=true",
+      archive: "/archive?url=https://site.com/terms&bundle=zip",
+      metadata: "/screenshot?url=https://dashboard.com&response=json",
+      har: "/har?url=https://dashboard.com",
+      accessibility: "/accessibility?url=https://site.com&audit=true",
+      metrics: "/metrics/page?url=https://site.com&runs=3",
+      render:
+        'POST /render with {"html": "<h1>Invoice</h1>", "css": "h1 { color: red; }", "options": {"type": "png"}}',
       custom: "/screenshot?url=https://site.com&width=1920&height=1080",
+      pdf: "/pdf?url=https://example.com&format=a4&landscape=true",
       test: "/test-loading?url=https://example.com",
+      fast: "/screenshot?url=https://example.com&wait=fast",
+      consent: "/screenshot?url=https://news.site.eu&consent=reject",
+      waitFor:
+        "/screenshot?url=https://dashboard.com&waitForSelector=%23sales-chart%20svg&waitForHidden=.spinner&failOnWaitTimeout=true",
+      customWait:
+        "/screenshot?url=https://dashboard.com&wait=custom&waitStages=dom:10000,networkIdle:15000,images",
     },
     endpoints: {
       screenshot:
-        "/screenshot?url=<URL>&width=<WIDTH>&height=<HEIGHT>&fullPage=<true/false>&type=<png/jpeg>&quality=<1-100>",
+        "/screenshot?url=<URL>&width=<WIDTH>&height=<HEIGHT>&fullPage=<true/false>&type=<png/jpeg/webp/avif>&quality=<1-100>&lossless=<true/false>&selector=<CSS>&padding=<0-500>&clip=<x,y,width,height>&scrollTo=<selector|y>&scale=<1-4>&device=<name>&colorScheme=<light/dark>&reducedMotion=<reduce>&media=<screen/print>&baseline=<name>&maxMismatch=<percent>&saveCandidate=<true/false>&failOnPageError=<true/false>&response=<image/json>&wait=<fast/balanced/thorough/custom>&waitStages=<stage:ms,...>&waitForSelector=<CSS>&waitForText=<TEXT>&waitForHidden=<CSS>&waitForFunction=<JS>&waitTimeout=<ms>&failOnWaitTimeout=<true/false>&consent=<accept/reject/remove> (page errors in X-Page-Errors header)",
+      responsive:
+        "/screenshot/responsive?url=<URL>&widths=<W1,W2,...>&devices=<DEVICE1,DEVICE2,...>&fullPage=<true/false>&type=<png/jpeg/webp/avif>",
+      pdf: "/pdf?url=<URL>&format=<a4/letter/...>&landscape=<true/false>&margin=<top,right,bottom,left>&scale=<0.1-2>&printBackground=<true/false>&headerTemplate=<HTML>&footerTemplate=<HTML>",
+      record:
+        "/record?url=<URL>&format=<gif/webm/mp4>&duration=<ms>&fps=<1-15>&frameWidth=<100-1280>",
+      render:
+        "POST /render?output=<image/pdf> with JSON {html, css, baseUrl, options} or a text/html body (accepts /screenshot and /pdf options)",
+      og: "/og?template=<name>&title=<TEXT>&subtitle=<TEXT>&author=<TEXT>&logoUrl=<URL>&theme=<light/dark>&type=<png/jpeg/webp/avif> (also POST with JSON)",
+      diff: "/diff?url=<URL>&compareUrl=<URL>&threshold=<0-1>&includeAA=<true/false>&output=<json/image> (also POST with JSON {url, image: <base64>, options}; accepts /screenshot options)",
+      baselines:
+        "GET /baselines, PUT /baselines/<name>?url=<URL>&approve=<true/false>, GET /baselines/<name>, GET /baselines/<name>/image?version=<N>, POST /baselines/<name>/versions/<N>/approve, DELETE /baselines/<name>[/versions/<N>]",
+      html: "/html?url=<URL>&stripScripts=<true/false>&rewriteUrls=<true/false> (rendered HTML for crawlers)",
+      archive:
+        "/archive?url=<URL>&bundle=<zip> (MHTML snapshot, or zip with MHTML, PNG and metadata.json)",
+      har: "/har?url=<URL> (HAR 1.2 network log of the page load)",
+      accessibility:
+        "/accessibility?url=<URL>&selector=<CSS>&interestingOnly=<true/false>&audit=<true/false>",
+      metrics:
+        "/metrics/page?url=<URL>&runs=<1-5> (Core Web Vitals, Chrome counters and resource counts with medians)",
+      devices: "/devices (list device emulation presets)",
       testLoading:
-        "/test-loading?url=<URL> (test page loading without taking screenshot)",
+        "/test-loading?url=<URL>&wait=<strategy> (test page loading without taking screenshot)",
       health: "/health",
       status: "/status",
     },
@@ -1496,6 +6385,18 @@ app.get("/", (req, res) => {
   });
 });
 
+// Return JSON for request body errors (too large, malformed JSON)
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const status = error.status || error.statusCode || 500;
+  res.status(status).json({
+    error: status < 500 ? error.message : "Internal server error",
+  });
+});
+
 // Graceful shutdown
 async function gracefulShutdown(signal) {
   console.log(`Received ${signal}, starting graceful shutdown...`);